@@ -0,0 +1,49 @@
+/**
+ * Seed the Supabase `foods` table from a JSON or CSV dataset
+ *
+ * Usage: npm run seed:foods -- [path/to/foods.json|foods.csv]
+ * Default dataset: data/foods.json. CSV files need a header row with
+ * name, aliases (separated by ";"), category and the per-100g nutrient columns.
+ * Requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.
+ */
+
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { fileURLToPath } from 'url';
+import { getServiceSupabaseClient } from '../src/stores/supabase.js';
+import { BUNDLED_FOODS_PATH, parseFoodDataset } from '../src/stores/foods.js';
+
+const BATCH_SIZE = 500;
+
+async function main() {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+  }
+
+  const path = process.argv[2] || fileURLToPath(BUNDLED_FOODS_PATH);
+  const format = extname(path).toLowerCase() === '.csv' ? 'csv' : 'json';
+  const foods = parseFoodDataset(readFileSync(path, 'utf-8'), format);
+
+  const source = format === 'json' ? JSON.parse(readFileSync(path, 'utf-8')).source : null;
+  const rows = foods.map(({ per_100g, ...food }) => ({ ...food, ...per_100g, source: source || path }));
+
+  const supabase = getServiceSupabaseClient();
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const batch = rows.slice(i, i + BATCH_SIZE);
+    const { error } = await supabase.from('foods').upsert(batch, { onConflict: 'id' });
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    console.log(`Upserted ${i + batch.length}/${rows.length} foods`);
+  }
+
+  console.log(`✅ Seeded ${rows.length} foods from ${path}`);
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
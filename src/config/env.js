@@ -16,7 +16,15 @@ const OPTIONAL_VARS = {
   PORT: '3000',
   NODE_ENV: 'development',
   LOG_LEVEL: 'info',
-  BASE_URL: null // Will be computed if not set
+  BASE_URL: null, // Will be computed if not set
+  OAUTH_STORE: 'memory', // 'memory' or 'supabase'
+  SUPABASE_SERVICE_ROLE_KEY: null, // Required when OAUTH_STORE=supabase
+  SUPABASE_JWT_SECRET: null, // Enables local HS256 verification of access tokens
+  TOKEN_CACHE_MAX_ENTRIES: '1000',
+  TOKEN_CACHE_TTL_SECONDS: '300',
+  MCP_SESSION_IDLE_TIMEOUT_SECONDS: '1800',
+  FOOD_STORE: 'memory', // 'memory' (bundled data/foods.json) or 'supabase'
+  DEFAULT_TIMEZONE: 'UTC' // Used for users who haven't set a timezone
 };
 
 function validateEnv() {
@@ -40,6 +48,10 @@ function validateEnv() {
     }
   }
 
+  if (process.env.OAUTH_STORE === 'supabase' && !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required when OAUTH_STORE=supabase');
+  }
+
   // Compute BASE_URL if not set
   if (!process.env.BASE_URL) {
     const port = process.env.PORT || '3000';
@@ -56,16 +68,37 @@ export const config = {
   nodeEnv: process.env.NODE_ENV || 'development',
   baseUrl: process.env.BASE_URL,
   logLevel: process.env.LOG_LEVEL || 'info',
+  defaultTimezone: process.env.DEFAULT_TIMEZONE || 'UTC',
 
   supabase: {
     url: process.env.SUPABASE_URL,
-    anonKey: process.env.SUPABASE_ANON_KEY
+    anonKey: process.env.SUPABASE_ANON_KEY,
+    serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+    jwtSecret: process.env.SUPABASE_JWT_SECRET
+  },
+
+  tokenCache: {
+    maxEntries: parseInt(process.env.TOKEN_CACHE_MAX_ENTRIES || '1000', 10),
+    // Upper bound on how long a verified token is trusted without re-checking,
+    // so revoked sessions are noticed even if the JWT itself hasn't expired
+    ttlSeconds: parseInt(process.env.TOKEN_CACHE_TTL_SECONDS || '300', 10)
+  },
+
+  mcp: {
+    sessionIdleTimeoutSeconds: parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT_SECONDS || '1800', 10) // 30 minutes
+  },
+
+  foods: {
+    store: process.env.FOOD_STORE || 'memory'
   },
 
   oauth: {
     clientSecret: process.env.OAUTH_CLIENT_SECRET,
+    store: process.env.OAUTH_STORE || 'memory',
     codeExpirySeconds: 600, // 10 minutes
-    tokenExpirySeconds: 3600 // 1 hour
+    stateExpirySeconds: 600, // 10 minutes
+    tokenExpirySeconds: 3600, // 1 hour
+    refreshGrantExpirySeconds: 30 * 24 * 3600 // 30 days, then the client must authorize again
   },
 
   validate: validateEnv
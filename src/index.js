@@ -2,20 +2,27 @@ import express from 'express';
 import cors from 'cors';
 import { createServer } from 'http';
 import { setupOAuthRoutes } from './routes/oauth.js';
-import { setupMcpRoutes } from './routes/mcp.js';
+import { setupMcpRoutes, closeMcpSessions } from './routes/mcp.js';
+import { setupExportRoutes } from './routes/export.js';
+import { setupImportRoutes } from './routes/import.js';
 import { logger } from './utils/logger.js';
+import { getTokenCacheStats } from './utils/auth.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  // Browser-based MCP clients need to read the session ID assigned at initialize
+  exposedHeaders: ['Mcp-Session-Id']
+}));
 
 // Only parse JSON for non-MCP routes
-// The MCP transport needs to read the raw stream
+// The MCP route parses its own body before handing it to the transport,
+// and /import parses uploads itself with a larger size limit
 app.use((req, res, next) => {
-  if (req.path === '/mcp') {
-    // Skip body parsing for MCP endpoint
+  if (req.path === '/mcp' || req.path === '/import') {
+    // Skip body parsing for MCP and import endpoints
     next();
   } else {
     express.json()(req, res, next);
@@ -45,13 +52,16 @@ app.get('/health', (req, res) => {
     status: 'ok',
     service: 'macro-mcp',
     version: '2.0.0',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    token_cache: getTokenCacheStats()
   });
 });
 
 // Setup routes BEFORE static files so custom routes take precedence
 setupOAuthRoutes(app);
 setupMcpRoutes(app);
+setupExportRoutes(app);
+setupImportRoutes(app);
 
 // Serve static files from public directory (after routes)
 app.use(express.static('public'));
@@ -122,6 +132,9 @@ server.listen(PORT, '0.0.0.0', () => {
 const shutdown = async () => {
   logger.info('Shutting down gracefully...');
 
+  // End open SSE streams so the HTTP server can close
+  await closeMcpSessions();
+
   server.close(() => {
     logger.info('HTTP server closed');
     process.exit(0);
@@ -0,0 +1,137 @@
+/**
+ * MCP session manager
+ * One StreamableHTTPServerTransport + Server pair per Mcp-Session-Id, bound to the
+ * user who initialized it. Idle sessions are evicted after config.mcp.sessionIdleTimeoutSeconds;
+ * a session whose SSE stream (GET /mcp) is open is not idle, since the client is waiting
+ * for notifications.
+ */
+
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+const SWEEP_INTERVAL_MS = 60 * 1000; // 1 minute
+
+/**
+ * Create a session manager
+ * createServer() must return a new, unconnected MCP Server for each session
+ */
+export function createSessionManager({ createServer }) {
+  // Structure: { sessionId: { transport, server, userId, subscriptions, openStreams, createdAt, lastActivityAt } }
+  // subscriptions is the Set of resource URIs the client subscribed to, openStreams the
+  // number of GET /mcp responses currently held open
+  const sessions = new Map();
+
+  const idleTimeoutMs = config.mcp.sessionIdleTimeoutSeconds * 1000;
+
+  function forgetSession(sessionId, reason) {
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+
+    sessions.delete(sessionId);
+    logger.info('MCP session closed', { session_id: sessionId, user_id: session.userId, reason });
+    return session;
+  }
+
+  async function closeSession(sessionId, reason) {
+    const session = forgetSession(sessionId, reason);
+    if (!session) return false;
+
+    try {
+      // Closing the server also closes its transport and any open SSE streams
+      await session.server.close();
+    } catch (error) {
+      logger.warn('Error while closing MCP session', { session_id: sessionId, error: error.message });
+    }
+    return true;
+  }
+
+  // Evict idle sessions
+  setInterval(() => {
+    const cutoff = Date.now() - idleTimeoutMs;
+    for (const [sessionId, session] of sessions.entries()) {
+      if (session.openStreams === 0 && session.lastActivityAt < cutoff) {
+        closeSession(sessionId, 'idle');
+      }
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    /**
+     * Create a transport for a new session owned by userId
+     * The session is registered once the transport has handled the initialize request
+     */
+    async create(userId) {
+      const server = createServer();
+
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (sessionId) => {
+          const now = Date.now();
+          sessions.set(sessionId, { transport, server, userId, subscriptions: new Set(), openStreams: 0, createdAt: now, lastActivityAt: now });
+          logger.info('MCP session initialized', { session_id: sessionId, user_id: userId });
+        },
+        onsessionclosed: (sessionId) => {
+          // DELETE /mcp from the client - the transport closes itself afterwards
+          forgetSession(sessionId, 'terminated by client');
+        }
+      });
+
+      // Must be set before connect() so the server can chain its own close handler
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          forgetSession(transport.sessionId, 'transport closed');
+        }
+      };
+
+      await server.connect(transport);
+      return transport;
+    },
+
+    /**
+     * Look up a live session and mark it as active
+     */
+    get(sessionId) {
+      const session = sessions.get(sessionId);
+      if (session) {
+        session.lastActivityAt = Date.now();
+      }
+      return session || null;
+    },
+
+    /**
+     * Keep a session alive while res, its GET /mcp SSE stream, is open
+     * Idle time counts from when the stream closes.
+     */
+    trackStream(sessionId, res) {
+      const session = sessions.get(sessionId);
+      if (!session) return;
+
+      session.openStreams++;
+      res.on('close', () => {
+        session.openStreams--;
+        session.lastActivityAt = Date.now();
+      });
+    },
+
+    /**
+     * All sessions belonging to a user (for routing server-initiated messages)
+     */
+    getByUser(userId) {
+      return [...sessions.entries()]
+        .filter(([, session]) => session.userId === userId)
+        .map(([sessionId, session]) => ({ sessionId, ...session }));
+    },
+
+    close: closeSession,
+
+    async closeAll() {
+      await Promise.all([...sessions.keys()].map(sessionId => closeSession(sessionId, 'shutdown')));
+    },
+
+    get size() {
+      return sessions.size;
+    }
+  };
+}
@@ -0,0 +1,275 @@
+/**
+ * OAuth client registry
+ * Dynamic Client Registration (RFC 7591), registration management (RFC 7592)
+ * and client authentication at the token endpoint (RFC 6749 Section 2.3)
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { createClientStore } from '../stores/clients.js';
+
+export const ALLOWED_GRANT_TYPES = ['authorization_code', 'refresh_token'];
+export const ALLOWED_AUTH_METHODS = ['none', 'client_secret_post', 'client_secret_basic'];
+
+const store = createClientStore();
+
+/**
+ * Hash a client credential for storage (secrets are random, so a plain SHA-256 is enough)
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Constant-time comparison of a presented credential against a stored hash
+ */
+function secretMatches(secret, storedHash) {
+  if (!secret || !storedHash) return false;
+  const presented = Buffer.from(hashSecret(secret), 'hex');
+  const expected = Buffer.from(storedHash, 'hex');
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+function requiresSecret(authMethod) {
+  return authMethod === 'client_secret_post' || authMethod === 'client_secret_basic';
+}
+
+/**
+ * Validate and normalize RFC 7591 client metadata
+ * Returns { metadata } on success or { error, error_description } on failure
+ */
+export function validateClientMetadata(body) {
+  const { client_name, redirect_uris, grant_types, token_endpoint_auth_method } = body || {};
+
+  if (!redirect_uris || !Array.isArray(redirect_uris) || redirect_uris.length === 0) {
+    return {
+      error: 'invalid_redirect_uri',
+      error_description: 'redirect_uris is required and must be a non-empty array'
+    };
+  }
+
+  for (const uri of redirect_uris) {
+    let parsed;
+    try {
+      parsed = new URL(uri);
+    } catch {
+      return {
+        error: 'invalid_redirect_uri',
+        error_description: `Invalid redirect URI: ${uri}`
+      };
+    }
+    if (parsed.hash) {
+      return {
+        error: 'invalid_redirect_uri',
+        error_description: `Redirect URI must not contain a fragment: ${uri}`
+      };
+    }
+  }
+
+  const requestedGrantTypes = grant_types || ['authorization_code'];
+  const invalidGrantTypes = requestedGrantTypes.filter(gt => !ALLOWED_GRANT_TYPES.includes(gt));
+
+  if (invalidGrantTypes.length > 0) {
+    return {
+      error: 'invalid_client_metadata',
+      error_description: `Unsupported grant types: ${invalidGrantTypes.join(', ')}. Supported: ${ALLOWED_GRANT_TYPES.join(', ')}`
+    };
+  }
+
+  const requestedAuthMethod = token_endpoint_auth_method || 'none';
+
+  if (!ALLOWED_AUTH_METHODS.includes(requestedAuthMethod)) {
+    return {
+      error: 'invalid_client_metadata',
+      error_description: `Unsupported token_endpoint_auth_method. Supported: ${ALLOWED_AUTH_METHODS.join(', ')}`
+    };
+  }
+
+  return {
+    metadata: {
+      client_name: client_name || 'MCP Client',
+      redirect_uris,
+      grant_types: requestedGrantTypes,
+      token_endpoint_auth_method: requestedAuthMethod
+    }
+  };
+}
+
+/**
+ * Build the client information response (RFC 7591 Section 3.2.1 / RFC 7592 Section 3)
+ */
+export function toClientInformation(client, { clientSecret, registrationAccessToken } = {}) {
+  const response = {
+    client_id: client.clientId,
+    ...client.metadata,
+    client_id_issued_at: client.clientIdIssuedAt,
+    registration_client_uri: `${config.baseUrl || 'http://localhost:3000'}/oauth/register/${client.clientId}`
+  };
+
+  if (clientSecret) {
+    response.client_secret = clientSecret;
+    response.client_secret_expires_at = 0; // Never expires
+  }
+
+  if (registrationAccessToken) {
+    response.registration_access_token = registrationAccessToken;
+  }
+
+  return response;
+}
+
+/**
+ * Register a new client from validated metadata
+ * Returns the stored client plus the plaintext credentials (only available at this point)
+ */
+export async function registerClient(metadata) {
+  const clientId = `mcp_${crypto.randomBytes(16).toString('hex')}`;
+  const registrationAccessToken = crypto.randomBytes(32).toString('base64url');
+  const clientSecret = requiresSecret(metadata.token_endpoint_auth_method)
+    ? crypto.randomBytes(32).toString('base64url')
+    : null;
+
+  const client = await store.save({
+    clientId,
+    clientSecretHash: clientSecret ? hashSecret(clientSecret) : null,
+    registrationAccessTokenHash: hashSecret(registrationAccessToken),
+    metadata,
+    clientIdIssuedAt: Math.floor(Date.now() / 1000)
+  });
+
+  return { client, clientSecret, registrationAccessToken };
+}
+
+export async function getClient(clientId) {
+  if (!clientId) return null;
+  return store.get(clientId);
+}
+
+/**
+ * Look up a client for RFC 7592 management using its registration access token
+ * Returns null for both unknown clients and bad tokens so callers can't probe client IDs
+ */
+export async function getClientForRegistration(clientId, registrationAccessToken) {
+  const client = await getClient(clientId);
+  if (!client || !secretMatches(registrationAccessToken, client.registrationAccessTokenHash)) {
+    return null;
+  }
+  return client;
+}
+
+/**
+ * Replace a client's metadata (RFC 7592 Section 2.2)
+ * Switching to a secret-based auth method issues a new secret, switching away drops it
+ */
+export async function updateClient(client, metadata) {
+  let clientSecret = null;
+  let clientSecretHash = client.clientSecretHash;
+
+  if (!requiresSecret(metadata.token_endpoint_auth_method)) {
+    clientSecretHash = null;
+  } else if (!clientSecretHash) {
+    clientSecret = crypto.randomBytes(32).toString('base64url');
+    clientSecretHash = hashSecret(clientSecret);
+  }
+
+  const updated = await store.save({ ...client, metadata, clientSecretHash });
+  return { client: updated, clientSecret };
+}
+
+export async function deleteClient(clientId) {
+  return store.delete(clientId);
+}
+
+/**
+ * Resolve the redirect URI for an authorization request (RFC 6749 Section 3.1.2.3)
+ * An omitted redirect_uri is only allowed when exactly one is registered
+ */
+export function resolveRedirectUri(client, redirectUri) {
+  const registered = client.metadata.redirect_uris || [];
+
+  if (!redirectUri) {
+    return registered.length === 1 ? registered[0] : null;
+  }
+
+  return registered.includes(redirectUri) ? redirectUri : null;
+}
+
+/**
+ * Extract client credentials from client_secret_basic or client_secret_post
+ */
+function extractClientCredentials(req) {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader?.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.substring(6), 'base64').toString('utf-8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+      return { method: 'client_secret_basic', clientId: null, clientSecret: null };
+    }
+    // RFC 6749 Section 2.3.1: credentials are form-urlencoded before base64 encoding
+    return {
+      method: 'client_secret_basic',
+      clientId: decodeURIComponent(decoded.substring(0, separator).replace(/\+/g, ' ')),
+      clientSecret: decodeURIComponent(decoded.substring(separator + 1).replace(/\+/g, ' '))
+    };
+  }
+
+  if (req.body?.client_secret) {
+    return {
+      method: 'client_secret_post',
+      clientId: req.body.client_id,
+      clientSecret: req.body.client_secret
+    };
+  }
+
+  return { method: 'none', clientId: req.body?.client_id, clientSecret: null };
+}
+
+/**
+ * Authenticate the client making a token request
+ * Returns { client } on success or { error, error_description, method } on failure
+ */
+export async function authenticateClient(req) {
+  let credentials;
+  try {
+    credentials = extractClientCredentials(req);
+  } catch {
+    return { error: 'invalid_client', error_description: 'Malformed client credentials', method: 'client_secret_basic' };
+  }
+
+  const { method, clientId, clientSecret } = credentials;
+
+  if (!clientId) {
+    return { error: 'invalid_client', error_description: 'Missing client_id', method };
+  }
+
+  if (req.body?.client_id && req.body.client_id !== clientId) {
+    return { error: 'invalid_request', error_description: 'client_id does not match client credentials', method };
+  }
+
+  const client = await getClient(clientId);
+
+  if (!client) {
+    logger.warn('Token request from unknown client', { client_id: clientId });
+    return { error: 'invalid_client', error_description: 'Unknown client', method };
+  }
+
+  const registeredMethod = client.metadata.token_endpoint_auth_method;
+
+  if (registeredMethod !== method) {
+    logger.warn('Client authentication method mismatch', {
+      client_id: clientId,
+      registered: registeredMethod,
+      presented: method
+    });
+    return { error: 'invalid_client', error_description: `Client must authenticate with ${registeredMethod}`, method };
+  }
+
+  if (requiresSecret(registeredMethod) && !secretMatches(clientSecret, client.clientSecretHash)) {
+    logger.warn('Client authentication failed', { client_id: clientId });
+    return { error: 'invalid_client', error_description: 'Client authentication failed', method };
+  }
+
+  return { client };
+}
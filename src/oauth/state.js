@@ -0,0 +1,94 @@
+/**
+ * Authenticated OAuth state parameter
+ * The state carried through the Supabase sign-in pages is encrypted and
+ * authenticated with AES-256-GCM using a key derived from OAUTH_CLIENT_SECRET,
+ * so it can neither be read nor forged by the browser
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/env.js';
+
+const STATE_VERSION = 'v1';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+let stateKey = null;
+
+function getStateKey() {
+  if (!stateKey) {
+    if (!config.oauth.clientSecret) {
+      throw new Error('OAUTH_CLIENT_SECRET is required to protect the OAuth state');
+    }
+    stateKey = Buffer.from(crypto.hkdfSync(
+      'sha256',
+      config.oauth.clientSecret,
+      Buffer.alloc(0),
+      'macro-mcp oauth state',
+      32
+    ));
+  }
+  return stateKey;
+}
+
+/**
+ * Encrypt and sign an OAuth state object
+ * The issue timestamp is added here so it is covered by the authentication tag
+ */
+export function sealState(state) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getStateKey(), iv);
+  cipher.setAAD(Buffer.from(STATE_VERSION));
+
+  const plaintext = Buffer.from(JSON.stringify({ ...state, timestamp: Date.now() }));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  const sealed = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+  return `${STATE_VERSION}.${sealed}`;
+}
+
+/**
+ * Verify and decrypt a sealed OAuth state
+ * Returns { state } on success or { error, error_description } on failure
+ */
+export function openState(encodedState) {
+  const invalid = {
+    error: 'invalid_request',
+    error_description: 'Invalid or tampered OAuth state. Please restart sign-in from your MCP client.'
+  };
+
+  if (typeof encodedState !== 'string' || !encodedState.startsWith(`${STATE_VERSION}.`)) {
+    return invalid;
+  }
+
+  const sealed = Buffer.from(encodedState.substring(STATE_VERSION.length + 1), 'base64url');
+  if (sealed.length <= IV_LENGTH + TAG_LENGTH) {
+    return invalid;
+  }
+
+  let state;
+  try {
+    const iv = sealed.subarray(0, IV_LENGTH);
+    const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+    const ciphertext = sealed.subarray(IV_LENGTH + TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getStateKey(), iv);
+    decipher.setAAD(Buffer.from(STATE_VERSION));
+    decipher.setAuthTag(tag);
+
+    const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    state = JSON.parse(plaintext.toString('utf-8'));
+  } catch {
+    return invalid;
+  }
+
+  // Verify state timestamp (prevent replay of old sign-in attempts)
+  const stateAge = Date.now() - state.timestamp;
+  if (!(stateAge >= 0 && stateAge <= config.oauth.stateExpirySeconds * 1000)) {
+    return {
+      error: 'invalid_request',
+      error_description: 'OAuth state expired. Please restart sign-in from your MCP client.'
+    };
+  }
+
+  return { state };
+}
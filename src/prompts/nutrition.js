@@ -0,0 +1,147 @@
+/**
+ * MCP prompts for common nutrition workflows
+ * Messages are filled in server-side with the user's own data, so every client
+ * starts from the same facts instead of asking the model to look them up.
+ */
+
+import { createUserSupabaseClient } from '../utils/supabase.js';
+import { isoWeekKey, isoWeekStart } from '../utils/dates.js';
+import { fetchDaySummary, fetchRecentMeals, fetchWeekSummary } from '../tools/meals.js';
+import { fetchGoalHistory, goalForDate } from '../tools/goals.js';
+import { fetchCustomFoods } from '../tools/foods.js';
+import { createDateResolver } from '../tools/settings.js';
+
+function userMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+function json(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+/**
+ * Get prompt definitions
+ * arguments follow the MCP prompt argument format (all values are strings);
+ * build() returns { description, messages }
+ */
+export function getNutritionPrompts() {
+  return [
+    {
+      name: 'log_meal',
+      title: 'Log a meal',
+      description: 'Turn a free-text description of what you ate into a save_meal call, using the food names you logged recently',
+      arguments: [
+        { name: 'description', description: 'What you ate, e.g. "two eggs, a slice of toast and a coffee with milk"', required: true },
+        { name: 'meal', description: 'Meal type (breakfast, morning_snack, lunch, afternoon_snack, dinner, extra). Default: inferred from the description or time of day' },
+        { name: 'meal_day', description: 'Day of the meal: YYYY-MM-DD or "today", "yesterday", "-3d". Default: today' }
+      ],
+      build: async ({ description, meal, meal_day }, authInfo) => {
+        const supabase = createUserSupabaseClient(authInfo.token);
+        const dates = createDateResolver(supabase);
+
+        const [day, recentMeals, customFoods] = await Promise.all([
+          dates.day(meal_day || 'today', 'meal_day'),
+          fetchRecentMeals(supabase, 10),
+          fetchCustomFoods(supabase)
+        ]);
+
+        const recentItems = recentMeals.map(({ meal_day: mealDay, meal: mealType, meal_items }) => ({ meal_day: mealDay, meal: mealType, meal_items }));
+
+        return {
+          description: `Log a meal on ${day}`,
+          messages: [userMessage(`Please log this meal: ${description}
+
+Meal day: ${day}
+Meal type: ${meal || 'infer it from the description'}
+
+Steps:
+1. Break the description into individual foods with estimated grams. Reuse the names of foods I logged before where they fit, so my history stays searchable.
+2. Call save_meal with meal_items only; calories and macros are computed from my personal foods and the food catalog. If an item can't be resolved, use lookup_food to find the right name and try again.
+3. Reply with a short summary of what was saved and its calories and macros.
+
+My personal foods: ${customFoods.length > 0 ? customFoods.map(food => food.name).join(', ') : 'none'}
+
+My ${recentItems.length} most recent meals:
+${json(recentItems)}`)]
+        };
+      }
+    },
+    {
+      name: 'weekly_review',
+      title: 'Weekly review',
+      description: 'Review a week of eating against your goals, with the week\'s totals and daily breakdown filled in',
+      arguments: [
+        { name: 'week', description: 'ISO week (YYYY-Www, e.g. "2025-W05"), "this_week" or "last_week". Default: last_week' }
+      ],
+      build: async ({ week = 'last_week' }, authInfo) => {
+        const supabase = createUserSupabaseClient(authInfo.token);
+
+        let weekKey = week;
+        if (week === 'this_week' || week === 'last_week') {
+          weekKey = isoWeekKey((await createDateResolver(supabase).range(week)).start);
+        } else if (!isoWeekStart(week)) {
+          throw new Error(`Invalid week "${week}". Use YYYY-Www (e.g. "2025-W05"), "this_week" or "last_week"`);
+        }
+
+        const summary = await fetchWeekSummary(supabase, weekKey);
+        const goal = goalForDate(await fetchGoalHistory(supabase, summary.end_date), summary.end_date);
+
+        return {
+          description: `Weekly review of ${weekKey} (${summary.start_date} to ${summary.end_date})`,
+          messages: [userMessage(`Please review my eating for ${weekKey} (${summary.start_date} to ${summary.end_date}).
+
+Cover:
+1. How my daily averages compare with my goals, and on how many tracked days I was on target.
+2. Patterns worth noting: skipped or untracked days, weekends vs weekdays, nutrients that are consistently over or under.
+3. Two or three concrete, realistic changes for next week.
+
+Days without meals were not tracked; don't count them as zero intake.
+
+My goals: ${goal ? json(goal) : 'none set (judge against general guidelines and suggest setting goals with set_goals)'}
+
+Week totals:
+${json(summary.total)}
+
+Daily totals:
+${json(summary.days)}
+
+Units: ${JSON.stringify(summary.units)}`)]
+        };
+      }
+    },
+    {
+      name: 'plan_remaining_macros',
+      title: 'Plan remaining macros for today',
+      description: 'Suggest meals for the rest of today that fit what is left of your goals, with today\'s intake filled in',
+      arguments: [
+        { name: 'meals_left', description: 'Meals still to plan, e.g. "dinner and a snack". Default: whatever remains of the day' },
+        { name: 'preferences', description: 'Foods you have at hand, cravings or restrictions' }
+      ],
+      build: async ({ meals_left, preferences }, authInfo) => {
+        const supabase = createUserSupabaseClient(authInfo.token);
+        const today = await createDateResolver(supabase).today();
+        const summary = await fetchDaySummary(supabase, today);
+
+        const loggedMeals = summary.meals.map(({ meal, calories, meal_items }) => ({ meal, calories, meal_items }));
+
+        return {
+          description: `Plan the rest of ${today}`,
+          messages: [userMessage(`Please plan what I should eat for the rest of today (${today}).
+
+Meals to plan: ${meals_left || 'whatever remains of the day, based on what I already ate'}
+Preferences: ${preferences || 'none given'}
+
+${summary.goal
+    ? `Progress against my goals so far (remaining = target - actual; sugar and sodium are upper limits):
+${json(summary.progress)}`
+    : 'I have no goals set. Suggest balanced meals and mention that set_goals would make this more precise.'}
+
+What I ate today (${summary.meal_count} meals):
+${json(loggedMeals)}
+
+Suggest specific foods with gram amounts that land close to the remaining targets without going over limits, and show the resulting totals. Use lookup_food for nutrient values instead of guessing. Don't log anything unless I ask.`)]
+        };
+      }
+    }
+  ];
+}
@@ -0,0 +1,142 @@
+/**
+ * MCP resources (macro:// URIs)
+ * Read-only views of the user's data that clients can attach as context without
+ * a tool call, backed by the same queries as the tools.
+ */
+
+import { createUserSupabaseClient } from '../utils/supabase.js';
+import { addDays, daysBetween, isDateString, isoWeekKey, isoWeekStart } from '../utils/dates.js';
+import { fetchDaySummary, fetchWeekSummary } from '../tools/meals.js';
+import { fetchGoalHistory, goalForDate } from '../tools/goals.js';
+import { fetchCustomFoods, fetchFood } from '../tools/foods.js';
+import { createDateResolver } from '../tools/settings.js';
+
+const DAY_PATTERN = /^(\d{4}-\d{2}-\d{2}|today|yesterday|-\d+d)$/;
+
+/**
+ * Get resource definitions
+ * Each resource has a fixed uri or a uriTemplate (RFC 6570). list() returns the concrete
+ * resources to advertise in resources/list; read() returns the JSON content, or null if
+ * there is no such resource. subscribable resources support resources/subscribe and are
+ * notified through affectedResourceUris().
+ */
+export function getMacroResources() {
+  return [
+    {
+      name: 'goals',
+      uri: 'macro://goals',
+      title: 'Nutrition goals',
+      description: 'Your daily nutrition targets: the goal active today and every earlier version',
+      mimeType: 'application/json',
+      list: async () => [{ uri: 'macro://goals', name: 'goals', title: 'Nutrition goals' }],
+      read: async (params, authInfo) => {
+        const supabase = createUserSupabaseClient(authInfo.token);
+        const [today, history] = await Promise.all([
+          createDateResolver(supabase).today(),
+          fetchGoalHistory(supabase)
+        ]);
+
+        return { date: today, goal: goalForDate(history, today), history };
+      }
+    },
+    {
+      name: 'day',
+      uriTemplate: 'macro://days/{date}',
+      subscribable: true,
+      title: 'Daily log',
+      description: 'Meals, nutrient totals and progress against your goal for one day. date is YYYY-MM-DD, "today", "yesterday" or "-3d", in your timezone',
+      mimeType: 'application/json',
+      list: async authInfo => {
+        const today = await createDateResolver(createUserSupabaseClient(authInfo.token)).today();
+        const yesterday = addDays(today, -1);
+
+        return [
+          { uri: `macro://days/${today}`, name: `day-${today}`, title: `Today's log (${today})` },
+          { uri: `macro://days/${yesterday}`, name: `day-${yesterday}`, title: `Yesterday's log (${yesterday})` }
+        ];
+      },
+      read: async ({ date }, authInfo) => {
+        // An impossible calendar date ("2025-02-30") is not found either
+        if (!DAY_PATTERN.test(date) || (/^\d/.test(date) && !isDateString(date))) return null;
+
+        const supabase = createUserSupabaseClient(authInfo.token);
+        const day = await createDateResolver(supabase).day(date, 'date');
+        return fetchDaySummary(supabase, day);
+      }
+    },
+    {
+      name: 'week',
+      uriTemplate: 'macro://weeks/{week}',
+      subscribable: true,
+      title: 'Weekly totals',
+      description: 'Nutrient totals of one ISO week, overall and per day. week is YYYY-Www (e.g. "2025-W05"), "this_week" or "last_week"',
+      mimeType: 'application/json',
+      list: async authInfo => {
+        const today = await createDateResolver(createUserSupabaseClient(authInfo.token)).today();
+        const week = isoWeekKey(today);
+
+        return [{ uri: `macro://weeks/${week}`, name: `week-${week}`, title: `This week (${week})` }];
+      },
+      read: async ({ week }, authInfo) => {
+        const supabase = createUserSupabaseClient(authInfo.token);
+
+        if (week === 'this_week' || week === 'last_week') {
+          const { start } = await createDateResolver(supabase).range(week);
+          return fetchWeekSummary(supabase, isoWeekKey(start));
+        }
+        if (!isoWeekStart(week)) return null;
+
+        return fetchWeekSummary(supabase, week);
+      }
+    },
+    {
+      name: 'food',
+      uriTemplate: 'macro://foods/{id}',
+      title: 'Food',
+      description: 'Nutrients per 100 g of a personal food (UUID) or a catalog food (see lookup_food)',
+      mimeType: 'application/json',
+      // Only personal foods are listed; catalog foods are read by ID
+      list: async authInfo => {
+        const foods = await fetchCustomFoods(createUserSupabaseClient(authInfo.token));
+
+        return foods.map(food => ({ uri: `macro://foods/${food.id}`, name: `food-${food.id}`, title: food.name }));
+      },
+      read: async ({ id }, authInfo) => {
+        let foodId;
+        try {
+          foodId = decodeURIComponent(id);
+        } catch {
+          // Malformed escape such as %E0: no food can have that ID
+          return null;
+        }
+        return fetchFood(createUserSupabaseClient(authInfo.token), foodId);
+      }
+    }
+  ];
+}
+
+/**
+ * Every URI under which the day and week resources of the changed days can be read,
+ * including relative ones ("macro://days/today", "macro://weeks/this_week") for today
+ */
+export function affectedResourceUris(days, today) {
+  const uris = new Set();
+  const thisWeek = isoWeekKey(today);
+  const lastWeek = isoWeekKey(addDays(today, -7));
+
+  for (const day of days) {
+    uris.add(`macro://days/${day}`);
+
+    const ago = daysBetween(day, today);
+    if (ago === 0) uris.add('macro://days/today');
+    if (ago === 1) uris.add('macro://days/yesterday');
+    if (ago >= 0) uris.add(`macro://days/-${ago}d`);
+
+    const week = isoWeekKey(day);
+    uris.add(`macro://weeks/${week}`);
+    if (week === thisWeek) uris.add('macro://weeks/this_week');
+    if (week === lastWeek) uris.add('macro://weeks/last_week');
+  }
+
+  return uris;
+}
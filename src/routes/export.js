@@ -0,0 +1,92 @@
+/**
+ * Meal history download
+ * GET /export returns the same files as the export_meals tool, without the tool's
+ * size limit, for spreadsheets and scripts that hold an access token. The file is
+ * built in memory and sent in one response.
+ */
+
+import { Router } from 'express';
+import { logger } from '../utils/logger.js';
+import { authenticateBearerRequest } from '../utils/auth.js';
+import { createUserSupabaseClient } from '../utils/supabase.js';
+import { DATE_EXPRESSION_HELP, DATE_EXPRESSION_PATTERN } from '../utils/dates.js';
+import { CSV_ROW_MODES, EXPORT_FORMATS, exportMeals } from '../tools/export.js';
+import { createDateResolver } from '../tools/settings.js';
+
+const router = Router();
+
+const dateExpression = new RegExp(DATE_EXPRESSION_PATTERN);
+
+/**
+ * Problems with the query string, or null
+ */
+function validateExportQuery({ date, end_date, format, rows }) {
+  for (const [name, value] of Object.entries({ date, end_date })) {
+    if (value !== undefined && (typeof value !== 'string' || !dateExpression.test(value))) {
+      return `${name} must be ${DATE_EXPRESSION_HELP}`;
+    }
+  }
+  // A repeated parameter (?format=csv&format=json) arrives as an array
+  if (format !== undefined && (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format))) {
+    return `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+  }
+  if (rows !== undefined && (typeof rows !== 'string' || !CSV_ROW_MODES.includes(rows))) {
+    return `rows must be one of: ${CSV_ROW_MODES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * GET /export?date=&end_date=&format=csv|json|ndjson&rows=meal|item
+ * Requires a Bearer token, like /mcp
+ */
+router.get('/export', async (req, res) => {
+  const authInfo = await authenticateBearerRequest(req, res);
+  if (!authInfo) return;
+
+  const { date, end_date, format = 'csv', rows = 'meal' } = req.query;
+
+  const problem = validateExportQuery(req.query);
+  if (problem) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      error_description: problem
+    });
+  }
+
+  const supabase = createUserSupabaseClient(authInfo.token);
+
+  try {
+    const { start, end } = await createDateResolver(supabase).openRange(date, end_date);
+
+    logger.info('Exporting meals', { user_id: authInfo.userId, start_date: start, end_date: end, format, rows });
+
+    const file = await exportMeals(supabase, { startDate: start, endDate: end, format, rows });
+
+    res.setHeader('Content-Type', `${file.mimeType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.text);
+  } catch (error) {
+    // Anything other than a database failure is a date range the user can fix
+    if (!error.message.startsWith('Database error')) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: error.message
+      });
+    }
+
+    logger.error('Export failed', { user_id: authInfo.userId, error: error.message });
+    res.status(500).json({
+      error: 'server_error',
+      error_description: 'Failed to export meals'
+    });
+  }
+});
+
+/**
+ * Setup export routes on Express app
+ */
+export function setupExportRoutes(app) {
+  app.use(router);
+  logger.info('Export routes configured');
+}
@@ -0,0 +1,135 @@
+/**
+ * Meal history upload
+ * POST /import runs the same import as the import_meals tool, for files too large to
+ * pass through a tool call. Send the CSV as the body (text/csv) with options in the
+ * query string, or a JSON body with the tool's arguments.
+ */
+
+import express, { Router } from 'express';
+import { logger } from '../utils/logger.js';
+import { authenticateBearerRequest } from '../utils/auth.js';
+import { createUserSupabaseClient } from '../utils/supabase.js';
+import { importMeals } from '../tools/import.js';
+
+const router = Router();
+
+const MAX_UPLOAD_BYTES = '10mb';
+const MAX_UPLOAD_ROWS = 50000;
+
+/**
+ * Import arguments from a JSON body, or from the query string of a CSV upload
+ * (columns and meal_names as JSON, booleans as "true"/"false")
+ */
+function readImportArgs(req) {
+  if (req.is('application/json')) {
+    return req.body || {};
+  }
+
+  const { format, delimiter, dry_run, skip_duplicates } = req.query;
+  const parseJson = name => {
+    if (req.query[name] === undefined) return undefined;
+    let value;
+    try {
+      value = JSON.parse(req.query[name]);
+    } catch {
+      value = null;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`${name} must be a JSON object`);
+    }
+    return value;
+  };
+
+  return {
+    csv: req.body,
+    format,
+    delimiter,
+    columns: parseJson('columns'),
+    meal_names: parseJson('meal_names'),
+    dry_run: dry_run === undefined ? undefined : dry_run === 'true',
+    skip_duplicates: skip_duplicates === undefined ? undefined : skip_duplicates !== 'false'
+  };
+}
+
+/**
+ * POST /import?format=&dry_run=&skip_duplicates=&delimiter=&columns=&meal_names=
+ * Requires a Bearer token, like /mcp
+ */
+router.post(
+  '/import',
+  // Authenticate before reading an upload of up to MAX_UPLOAD_BYTES
+  async (req, res, next) => {
+    res.locals.authInfo = await authenticateBearerRequest(req, res);
+    if (res.locals.authInfo) next();
+  },
+  express.text({ type: ['text/csv', 'text/plain'], limit: MAX_UPLOAD_BYTES }),
+  express.json({ limit: MAX_UPLOAD_BYTES }),
+  async (req, res) => {
+    const { authInfo } = res.locals;
+
+    let args;
+    try {
+      args = readImportArgs(req);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: error.message
+      });
+    }
+
+    if (typeof args.csv !== 'string' || args.csv.trim() === '') {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'Send the CSV as a text/csv body, or as "csv" in a JSON body'
+      });
+    }
+
+    const supabase = createUserSupabaseClient(authInfo.token);
+
+    try {
+      logger.info('Importing meals', { user_id: authInfo.userId, format: args.format, dry_run: !!args.dry_run, bytes: args.csv.length });
+
+      const report = await importMeals(supabase, authInfo.userId, args.csv, {
+        format: args.format,
+        columns: args.columns,
+        mealNames: args.meal_names,
+        delimiter: args.delimiter,
+        dryRun: args.dry_run,
+        skipDuplicates: args.skip_duplicates,
+        maxRows: MAX_UPLOAD_ROWS
+      });
+
+      logger.info('Meals imported', {
+        user_id: authInfo.userId,
+        dry_run: report.dry_run,
+        imported: report.imported_count,
+        duplicates: report.duplicate_count,
+        errors: report.error_count
+      });
+
+      res.json(report);
+    } catch (error) {
+      // Anything other than a database failure is a problem with the file or options
+      if (!error.message.startsWith('Database error')) {
+        return res.status(400).json({
+          error: 'invalid_request',
+          error_description: error.message
+        });
+      }
+
+      logger.error('Import failed', { user_id: authInfo.userId, error: error.message });
+      res.status(500).json({
+        error: 'server_error',
+        error_description: 'Failed to import meals'
+      });
+    }
+  }
+);
+
+/**
+ * Setup import routes on Express app
+ */
+export function setupImportRoutes(app) {
+  app.use(router);
+  logger.info('Import routes configured');
+}
@@ -3,15 +3,37 @@
  * Uses official @modelcontextprotocol/sdk with Streamable HTTP transport
  */
 
-import { Router } from 'express';
+import express, { Router } from 'express';
 import { AsyncLocalStorage } from 'async_hooks';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
-import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
-import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { createClient } from '@supabase/supabase-js';
-import { config } from '../config/env.js';
+import {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
+  isInitializeRequest
+} from '@modelcontextprotocol/sdk/types.js';
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
 import { logger } from '../utils/logger.js';
+import { authenticateBearerRequest } from '../utils/auth.js';
+import { mealEvents } from '../utils/events.js';
+import { createSessionManager } from '../mcp/sessions.js';
 import { getMealTools } from '../tools/meals.js';
+import { getGoalTools } from '../tools/goals.js';
+import { getFoodTools } from '../tools/foods.js';
+import { getRecipeTools } from '../tools/recipes.js';
+import { createDateResolver, getSettingsTools } from '../tools/settings.js';
+import { getExportTools } from '../tools/export.js';
+import { getImportTools } from '../tools/import.js';
+import { affectedResourceUris, getMacroResources } from '../resources/macro.js';
+import { getNutritionPrompts } from '../prompts/nutrition.js';
 
 // AsyncLocalStorage for request-scoped auth info
 const authStorage = new AsyncLocalStorage();
@@ -20,121 +42,292 @@ const router = Router();
 
 // Get all available tools once
 const mealTools = getMealTools();
-const allTools = [...mealTools];
-
-// Create a single MCP server instance
-const mcpServer = new Server(
-  {
-    name: 'macro-mcp',
-    version: '2.0.0'
-  },
-  {
-    capabilities: {
-      tools: {}
+const goalTools = getGoalTools();
+const foodTools = getFoodTools();
+const recipeTools = getRecipeTools();
+const settingsTools = getSettingsTools();
+const exportTools = getExportTools();
+const importTools = getImportTools();
+const allTools = [...mealTools, ...goalTools, ...foodTools, ...recipeTools, ...settingsTools, ...exportTools, ...importTools];
+
+// Resources, with templates compiled once for matching URIs
+const allResources = getMacroResources().map(resource => ({
+  ...resource,
+  template: resource.uriTemplate ? new UriTemplate(resource.uriTemplate) : null
+}));
+
+// JSON-RPC error code for an unknown resource URI (MCP spec)
+const RESOURCE_NOT_FOUND = -32002;
+
+const allPrompts = getNutritionPrompts();
+
+/**
+ * Create an MCP server instance with all handlers registered
+ * Each session gets its own server, connected to its own transport
+ */
+function createMcpServer() {
+  const mcpServer = new Server(
+    {
+      name: 'macro-mcp',
+      version: '2.0.0'
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true },
+        prompts: {}
+      }
     }
-  }
-);
+  );
 
-// Register tools/list handler
-mcpServer.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: allTools.map(t => ({
-      name: t.name,
-      description: t.description,
-      inputSchema: t.inputSchema
-    }))
-  };
-});
+  registerToolHandlers(mcpServer);
+  registerResourceHandlers(mcpServer);
+  registerPromptHandlers(mcpServer);
 
-// Register tools/call handler
-mcpServer.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
-  const toolName = request.params.name;
-  const args = request.params.arguments || {};
+  return mcpServer;
+}
 
-  logger.info('Tool call', { tool: toolName, args });
+/**
+ * Register tools/list and tools/call handlers
+ */
+function registerToolHandlers(mcpServer) {
+  // Register tools/list handler
+  mcpServer.setRequestHandler(ListToolsRequestSchema, async () => {
+    return {
+      tools: allTools.map(t => ({
+        name: t.name,
+        description: t.description,
+        inputSchema: t.inputSchema,
+        outputSchema: t.outputSchema
+      }))
+    };
+  });
 
-  // Find the tool
-  const tool = allTools.find(t => t.name === toolName);
+  // Register tools/call handler
+  mcpServer.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const toolName = request.params.name;
+    const args = request.params.arguments || {};
 
-  if (!tool) {
-    throw new Error(`Unknown tool: ${toolName}`);
-  }
+    logger.info('Tool call', { tool: toolName, args });
+
+    // Find the tool
+    const tool = allTools.find(t => t.name === toolName);
+
+    if (!tool) {
+      throw new Error(`Unknown tool: ${toolName}`);
+    }
 
-  // Get auth info from AsyncLocalStorage (set during request authentication)
-  const authInfo = authStorage.getStore();
+    // Get auth info from AsyncLocalStorage (set during request authentication)
+    const authInfo = authStorage.getStore();
+
+    logger.info('Tool auth check', { tool: toolName, hasAuthInfo: !!authInfo, userId: authInfo?.userId });
+
+    // Check if tool requires auth
+    if (tool.requiresAuth) {
+      if (!authInfo) {
+        return {
+          content: [{
+            type: 'text',
+            text: '🔐 Authentication required. Please connect your account to use this tool.'
+          }],
+          isError: true
+        };
+      }
 
-  logger.info('Tool auth check', { tool: toolName, hasAuthInfo: !!authInfo, userId: authInfo?.userId });
+      // Pass auth info to handler
+      return await tool.handler(args, authInfo);
+    }
 
-  // Check if tool requires auth
-  if (tool.requiresAuth) {
+    // No auth required
+    return await tool.handler(args);
+  });
+}
+
+/**
+ * Register resources/list, resources/templates/list and resources/read handlers
+ */
+function registerResourceHandlers(mcpServer) {
+  // Every resource is user data, so all of them need the request's auth info
+  const requireAuth = () => {
+    const authInfo = authStorage.getStore();
     if (!authInfo) {
+      throw new Error('Authentication required. Please connect your account to read resources.');
+    }
+    return authInfo;
+  };
+
+  mcpServer.setRequestHandler(ListResourcesRequestSchema, async () => {
+    const authInfo = requireAuth();
+    const listed = await Promise.all(allResources.map(resource => resource.list(authInfo)));
+
+    return {
+      resources: allResources.flatMap((resource, i) => listed[i].map(entry => ({
+        description: resource.description,
+        mimeType: resource.mimeType,
+        ...entry
+      })))
+    };
+  });
+
+  mcpServer.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return {
+      resourceTemplates: allResources
+        .filter(resource => resource.uriTemplate)
+        .map(({ name, title, uriTemplate, description, mimeType }) => ({ name, title, uriTemplate, description, mimeType }))
+    };
+  });
+
+  mcpServer.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const authInfo = requireAuth();
+
+    logger.info('Resource read', { uri, user_id: authInfo.userId });
+
+    for (const resource of allResources) {
+      const params = resource.template ? resource.template.match(uri) : uri === resource.uri ? {} : null;
+      if (!params) continue;
+
+      const data = await resource.read(params, authInfo);
+      if (data === null) break;
+
       return {
-        content: [{
-          type: 'text',
-          text: '🔐 Authentication required. Please connect your account to use this tool.'
-        }],
-        isError: true
+        contents: [{
+          uri,
+          mimeType: resource.mimeType,
+          text: JSON.stringify(data, null, 2)
+        }]
       };
     }
 
-    // Pass auth info to handler
-    return await tool.handler(args, authInfo);
-  }
+    throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+  });
 
-  // No auth required
-  return await tool.handler(args);
-});
+  // Subscriptions are kept per session; see notifySubscribers for delivery
+  mcpServer.setRequestHandler(SubscribeRequestSchema, async (request, extra) => {
+    const { uri } = request.params;
+    const authInfo = requireAuth();
 
-logger.info('MCP server created with tools registered');
+    const resource = allResources.find(r => (r.template ? r.template.match(uri) : uri === r.uri));
+    if (!resource) {
+      throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+    }
+    if (!resource.subscribable) {
+      throw new McpError(ErrorCode.InvalidParams, `Resource does not support subscriptions: ${uri}`);
+    }
+
+    sessions.get(extra.sessionId)?.subscriptions.add(uri);
+    logger.info('Resource subscribed', { uri, session_id: extra.sessionId, user_id: authInfo.userId });
+
+    return {};
+  });
+
+  mcpServer.setRequestHandler(UnsubscribeRequestSchema, async (request, extra) => {
+    const { uri } = request.params;
+
+    sessions.get(extra.sessionId)?.subscriptions.delete(uri);
+    logger.info('Resource unsubscribed', { uri, session_id: extra.sessionId });
+
+    return {};
+  });
+}
 
 /**
- * Verify Supabase JWT token and return user info
+ * Register prompts/list and prompts/get handlers
  */
-async function verifySupabaseToken(bearerToken) {
-  if (!bearerToken) {
-    return null;
-  }
+function registerPromptHandlers(mcpServer) {
+  mcpServer.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return {
+      prompts: allPrompts.map(p => ({
+        name: p.name,
+        title: p.title,
+        description: p.description,
+        arguments: p.arguments
+      }))
+    };
+  });
 
-  try {
-    const supabase = createClient(config.supabase.url, config.supabase.anonKey, {
-      global: {
-        headers: {
-          Authorization: `Bearer ${bearerToken}`
-        }
-      }
-    });
+  mcpServer.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const promptName = request.params.name;
+    const args = request.params.arguments || {};
 
-    const { data: { user }, error } = await supabase.auth.getUser();
+    logger.info('Prompt request', { prompt: promptName, args });
 
-    if (error || !user) {
-      logger.warn('Token verification failed', { error: error?.message });
-      return null;
+    const prompt = allPrompts.find(p => p.name === promptName);
+
+    if (!prompt) {
+      throw new Error(`Unknown prompt: ${promptName}`);
     }
 
-    logger.info('Token verified', { user_id: user.id, email: user.email });
+    const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+    if (missing.length > 0) {
+      throw new Error(`Missing required argument(s) for prompt ${promptName}: ${missing.join(', ')}`);
+    }
 
-    return {
-      userId: user.id,
-      email: user.email,
-      token: bearerToken
-    };
-  } catch (error) {
-    logger.error('Token verification error', { error: error.message });
-    return null;
+    // Prompts are filled in with the user's data, so they all need auth
+    const authInfo = authStorage.getStore();
+    if (!authInfo) {
+      throw new Error('Authentication required. Please connect your account to use prompts.');
+    }
+
+    return await prompt.build(args, authInfo);
+  });
+}
+
+const sessions = createSessionManager({ createServer: createMcpServer });
+
+/**
+ * Send notifications/resources/updated for the day and week resources of the changed days
+ * to the user's own sessions that subscribed to them (delivered on their SSE stream)
+ */
+async function notifySubscribers({ userId, days, supabase }) {
+  const subscribed = sessions.getByUser(userId).filter(session => session.subscriptions.size > 0);
+  if (subscribed.length === 0) return;
+
+  // Relative URIs such as macro://days/today depend on the user's timezone, read with
+  // the client that made the change (tool calls and HTTP imports alike)
+  const today = await createDateResolver(supabase).today();
+  const uris = affectedResourceUris(days, today);
+
+  for (const session of subscribed) {
+    for (const uri of session.subscriptions) {
+      if (!uris.has(uri)) continue;
+
+      session.server.sendResourceUpdated({ uri }).catch(error => {
+        logger.warn('Failed to send resource update', { uri, session_id: session.sessionId, error: error.message });
+      });
+    }
   }
 }
 
-// Create a single transport instance
-const transport = new StreamableHTTPServerTransport({
-  sessionIdHeader: 'x-mcp-session-id'
+mealEvents.on('changed', event => {
+  notifySubscribers(event).catch(error => {
+    logger.error('Resource notification error', { error: error.message, user_id: event.userId });
+  });
 });
 
-// Connect server to transport once
-await mcpServer.connect(transport);
-logger.info('MCP server connected to transport');
+/**
+ * JSON-RPC body for 401 responses on /mcp
+ */
+function jsonRpcAuthError(error, description, resourceMetadataUrl) {
+  return {
+    jsonrpc: '2.0',
+    error: {
+      code: -32001,
+      message: error === 'invalid_token'
+        ? 'Unauthorized: Invalid or expired token'
+        : 'Unauthorized: Authentication required',
+      data: {
+        error,
+        error_description: description,
+        resource_metadata: resourceMetadataUrl
+      }
+    },
+    id: null
+  };
+}
 
 /**
- * Handle MCP requests (both POST and GET for SSE)
+ * Handle MCP requests (POST, GET for SSE, DELETE to end the session)
  * Requires OAuth authentication per MCP Authorization spec
  */
 async function handleMcpRequest(req, res) {
@@ -145,88 +338,22 @@ async function handleMcpRequest(req, res) {
     hasAuth: !!req.headers.authorization
   });
 
-  // Extract auth token if present
-  const authHeader = req.headers.authorization;
-  const bearerToken = authHeader?.startsWith('Bearer ')
-    ? authHeader.substring(7)
-    : null;
-
-  // Per MCP spec: If no auth token provided, return 401 with WWW-Authenticate header
+  // Per MCP spec: without a valid token, return 401 with a WWW-Authenticate header
   // This signals to the client that OAuth is required
-  if (!bearerToken) {
-    logger.info('No authorization token provided, returning 401');
-
-    const baseUrl = config.baseUrl || 'http://localhost:3000';
-    const resourceMetadataUrl = `${baseUrl}/.well-known/oauth-protected-resource`;
-
-    // Set WWW-Authenticate header BEFORE sending response (per RFC 6750 and RFC 9728)
-    res.setHeader(
-      'WWW-Authenticate',
-      `Bearer error="invalid_request", ` +
-      `error_description="No access token was provided in this request", ` +
-      `resource_metadata="${resourceMetadataUrl}"`
-    );
-
-    res.status(401).json({
-      jsonrpc: '2.0',
-      error: {
-        code: -32001,
-        message: 'Unauthorized: Authentication required',
-        data: {
-          error: 'invalid_request',
-          error_description: 'No access token was provided in this request',
-          resource_metadata: resourceMetadataUrl
-        }
-      },
-      id: null
-    });
-
-    return;
-  }
-
-  // Verify the token
-  const authInfo = await verifySupabaseToken(bearerToken);
-
-  if (!authInfo) {
-    logger.warn('Invalid or expired token');
-
-    const baseUrl = config.baseUrl || 'http://localhost:3000';
-    const resourceMetadataUrl = `${baseUrl}/.well-known/oauth-protected-resource`;
-
-    // Set WWW-Authenticate header BEFORE sending response
-    res.setHeader(
-      'WWW-Authenticate',
-      `Bearer error="invalid_token", ` +
-      `error_description="The access token is invalid or expired", ` +
-      `resource_metadata="${resourceMetadataUrl}"`
-    );
-
-    res.status(401).json({
-      jsonrpc: '2.0',
-      error: {
-        code: -32001,
-        message: 'Unauthorized: Invalid or expired token',
-        data: {
-          error: 'invalid_token',
-          error_description: 'The access token is invalid or expired',
-          resource_metadata: resourceMetadataUrl
-        }
-      },
-      id: null
-    });
-
-    return;
-  }
+  const authInfo = await authenticateBearerRequest(req, res, { errorBody: jsonRpcAuthError });
+  if (!authInfo) return;
 
   logger.info('Request authenticated', { user_id: authInfo.userId });
 
-  // Handle the request/response within AsyncLocalStorage context
-  // This makes authInfo available to all async operations in the request
   try {
+    const transport = await resolveTransport(req, res, authInfo);
+    if (!transport) return;
+
+    // Handle the request/response within AsyncLocalStorage context
+    // This makes authInfo available to all async operations in the request
     await authStorage.run(authInfo, async () => {
-      // Transport.handleRequest only accepts (req, res)
       // AuthInfo is retrieved from authStorage.getStore() in the tool handler
-      await transport.handleRequest(req, res);
+      await transport.handleRequest(req, res, req.body);
     });
   } catch (error) {
     logger.error('MCP request error', { error: error.message, stack: error.stack });
@@ -236,9 +363,72 @@ async function handleMcpRequest(req, res) {
   }
 }
 
-// Register both POST and GET handlers for MCP endpoint
-router.post('/mcp', handleMcpRequest);
+/**
+ * Send a JSON-RPC error response for session problems
+ */
+function sendSessionError(res, status, code, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  });
+}
+
+/**
+ * Find the transport for the request's Mcp-Session-Id, or create a new session
+ * for an initialize request. Sends an error response and returns null otherwise.
+ */
+async function resolveTransport(req, res, authInfo) {
+  const sessionId = req.headers['mcp-session-id'];
+
+  if (sessionId) {
+    const session = sessions.get(sessionId);
+
+    if (!session) {
+      // 404 tells the client to start a new session (MCP spec)
+      logger.info('Unknown or expired MCP session', { session_id: sessionId });
+      sendSessionError(res, 404, -32001, 'Session not found');
+      return null;
+    }
+
+    if (session.userId !== authInfo.userId) {
+      logger.warn('MCP session used by a different user', {
+        session_id: sessionId,
+        session_user_id: session.userId,
+        user_id: authInfo.userId
+      });
+      sendSessionError(res, 403, -32003, 'Forbidden: Session belongs to a different user');
+      return null;
+    }
+
+    // A client may only hold the SSE stream open to receive notifications
+    if (req.method === 'GET') {
+      sessions.trackStream(sessionId, res);
+    }
+
+    return session.transport;
+  }
+
+  if (req.method === 'POST' && isInitializeRequest(req.body)) {
+    return sessions.create(authInfo.userId);
+  }
+
+  sendSessionError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+  return null;
+}
+
+// Register POST (JSON-RPC), GET (SSE stream) and DELETE (terminate session) handlers
+// The body is parsed here because the global JSON parser skips /mcp
+router.post('/mcp', express.json({ limit: '4mb' }), handleMcpRequest);
 router.get('/mcp', handleMcpRequest);
+router.delete('/mcp', handleMcpRequest);
+
+/**
+ * Close all MCP sessions (used on shutdown)
+ */
+export async function closeMcpSessions() {
+  await sessions.closeAll();
+}
 
 /**
  * Setup MCP routes on Express app
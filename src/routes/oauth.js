@@ -5,9 +5,23 @@
 
 import { Router } from 'express';
 import crypto from 'crypto';
-import { createClient } from '@supabase/supabase-js';
+import { createClient, isAuthRetryableFetchError } from '@supabase/supabase-js';
 import { config } from '../config/env.js';
 import { logger } from '../utils/logger.js';
+import { verifySupabaseToken } from '../utils/auth.js';
+import { createTtlStore } from '../stores/ttl.js';
+import { sealState, openState } from '../oauth/state.js';
+import {
+  validateClientMetadata,
+  toClientInformation,
+  registerClient,
+  getClient,
+  getClientForRegistration,
+  updateClient,
+  deleteClient,
+  resolveRedirectUri,
+  authenticateClient
+} from '../oauth/clients.js';
 
 const router = Router();
 
@@ -27,27 +41,31 @@ router.use((req, res, next) => {
   next();
 });
 
-// In-memory store for auth codes (for production, use Redis or similar)
-// Structure: { code: { accessToken, refreshToken, codeChallenge, redirectUri, expiresAt, clientId, scope } }
-const authCodes = new Map();
-
-// Cleanup expired codes every 5 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [code, data] of authCodes.entries()) {
-    if (data.expiresAt < now) {
-      authCodes.delete(code);
-      logger.debug('Deleted expired auth code');
-    }
-  }
-}, 5 * 60 * 1000);
+// Auth code store (in-memory or shared Supabase table, see config.oauth.store)
+// Structure: { code: { accessToken, refreshToken, codeChallenge, redirectUri, clientId, scope, userId, email } }
+const authCodes = createTtlStore('auth_code');
+
+// Which client each refresh token was issued to, keyed by the token's SHA-256 hash
+// Structure: { hash: { clientId, scope } }
+const refreshGrants = createTtlStore('refresh_grant');
+
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('base64url');
+}
+
+/**
+ * Remember that a refresh token belongs to a client and the scope it was granted
+ */
+async function recordRefreshGrant(refreshToken, clientId, scope) {
+  await refreshGrants.set(hashRefreshToken(refreshToken), { clientId, scope }, config.oauth.refreshGrantExpirySeconds);
+}
 
 /**
  * GET /oauth/authorize
  * Step 1: Client initiates OAuth flow
  * Supports both standard OAuth params and MCP client-specific flows
  */
-router.get('/oauth/authorize', (req, res) => {
+router.get('/oauth/authorize', async (req, res) => {
   // Extract params from query (some MCP clients may use different sources)
   let {
     client_id,
@@ -75,14 +93,41 @@ router.get('/oauth/authorize', (req, res) => {
     }
   });
 
-  // Handle MCP clients that may not provide all standard OAuth params
-  // Generate defaults for missing params to support simplified MCP configurations
-  if (!redirect_uri) {
-    // Use a default redirect URI for MCP clients
-    redirect_uri = 'http://localhost:3000/oauth/callback';
-    logger.info('Using default redirect_uri for MCP client', { redirect_uri });
+  // Client must be registered via /oauth/register. Errors about the client or
+  // redirect URI are shown directly and never redirected (RFC 6749 Section 4.1.2.1)
+  let client;
+  try {
+    client = await getClient(client_id);
+  } catch (error) {
+    logger.error('Client lookup failed', { error: error.message });
+    return res.status(500).json({
+      error: 'server_error',
+      error_description: 'Failed to look up client'
+    });
+  }
+
+  if (!client) {
+    logger.warn('Authorization request from unknown client', { client_id });
+    return res.status(400).json({
+      error: 'invalid_client',
+      error_description: client_id ? 'Unknown client_id' : 'Missing client_id'
+    });
+  }
+
+  const resolvedRedirectUri = resolveRedirectUri(client, redirect_uri);
+  if (!resolvedRedirectUri) {
+    logger.warn('Redirect URI not registered for client', { client_id, redirect_uri });
+    return res.status(400).json({
+      error: 'invalid_request',
+      error_description: redirect_uri
+        ? 'redirect_uri is not registered for this client'
+        : 'redirect_uri is required when the client has multiple registered redirect URIs'
+    });
   }
+  redirect_uri = resolvedRedirectUri;
 
+  // Handle MCP clients that may not provide all standard OAuth params
+  // Generate defaults for missing params to support simplified MCP configurations
   if (!response_type) {
     response_type = 'code';
     logger.info('Using default response_type: code');
@@ -119,15 +164,14 @@ router.get('/oauth/authorize', (req, res) => {
   const oauthState = {
     clientState: state,
     redirectUri: redirect_uri,
-    clientId: client_id || 'mcp-client',
+    clientId: client.clientId,
     scope: scope || 'openid',
     codeChallenge: code_challenge,
-    codeChallengeMethod: code_challenge_method,
-    timestamp: Date.now()
+    codeChallengeMethod: code_challenge_method
   };
 
-  // Encode state as base64url for URL safety
-  const encodedState = Buffer.from(JSON.stringify(oauthState)).toString('base64url');
+  // Encrypt and sign state so the sign-in pages can't alter it (URL safe)
+  const encodedState = sealState(oauthState);
 
   logger.info('Redirecting directly to signin/signup page');
 
@@ -157,42 +201,46 @@ router.post('/oauth/callback', async (req, res) => {
     });
   }
 
-  try {
-    // Decode OAuth state
-    const stateJson = Buffer.from(encodedState, 'base64url').toString('utf-8');
-    const oauthState = JSON.parse(stateJson);
-
-    // Verify state timestamp (prevent replay attacks)
-    const stateAge = Date.now() - oauthState.timestamp;
-    if (stateAge > 10 * 60 * 1000) { // 10 minutes
-      throw new Error('OAuth state expired');
-    }
+  // Verify and decrypt OAuth state
+  const { state: oauthState, error: stateError, error_description: stateErrorDescription } = openState(encodedState);
+
+  if (stateError) {
+    logger.warn('Rejected OAuth state in callback', { reason: stateErrorDescription });
+    return res.status(400).json({
+      error: stateError,
+      error_description: stateErrorDescription
+    });
+  }
 
-    logger.info('OAuth state decoded successfully');
+  logger.info('OAuth state verified successfully');
 
-    // Decode JWT token to extract user info (without verification since Supabase already validated it)
-    const tokenParts = access_token.split('.');
-    if (tokenParts.length !== 3) {
-      throw new Error('Invalid JWT token format');
+  try {
+    // Verify the Supabase access token server-side before binding a code to its user
+    const authInfo = await verifySupabaseToken(access_token);
+
+    if (!authInfo) {
+      logger.warn('Rejected unverifiable access token in callback');
+      return res.status(401).json({
+        error: 'access_denied',
+        error_description: 'Your sign-in session could not be verified. Please sign in again.'
+      });
     }
 
-    const payload = JSON.parse(Buffer.from(tokenParts[1], 'base64').toString('utf-8'));
     const user = {
-      id: payload.sub,
-      email: payload.email
+      id: authInfo.userId,
+      email: authInfo.email
     };
 
-    logger.info('User info extracted from token', {
+    logger.info('User verified from token', {
       user_id: user.id,
       email: user.email
     });
 
     // Generate authorization code for MCP client
     const authCode = crypto.randomBytes(32).toString('base64url');
-    const expiresAt = Date.now() + (config.oauth.codeExpirySeconds * 1000);
 
     // Store auth code with Supabase tokens
-    authCodes.set(authCode, {
+    await authCodes.set(authCode, {
       accessToken: access_token,
       refreshToken: refresh_token,
       codeChallenge: oauthState.codeChallenge,
@@ -200,10 +248,9 @@ router.post('/oauth/callback', async (req, res) => {
       redirectUri: oauthState.redirectUri,
       clientId: oauthState.clientId,
       scope: oauthState.scope,
-      expiresAt,
       userId: user.id,
       email: user.email
-    });
+    }, config.oauth.codeExpirySeconds);
 
     logger.info('Authorization code generated', { code: authCode.substring(0, 10) + '...' });
 
@@ -265,19 +312,24 @@ router.get('/oauth/callback', async (req, res) => {
     });
   }
 
-  try {
-    // Decode OAuth state
-    const stateJson = Buffer.from(encodedState, 'base64url').toString('utf-8');
-    const oauthState = JSON.parse(stateJson);
-
-    // Verify state timestamp (prevent replay attacks)
-    const stateAge = Date.now() - oauthState.timestamp;
-    if (stateAge > 10 * 60 * 1000) { // 10 minutes
-      throw new Error('OAuth state expired');
-    }
+  // Verify and decrypt OAuth state
+  const { state: oauthState, error: stateError, error_description: stateErrorDescription } = openState(encodedState);
 
-    logger.info('OAuth state decoded successfully');
+  if (stateError) {
+    logger.warn('Rejected OAuth state in callback', { reason: stateErrorDescription });
+    return res.status(400).send(`
+      <html>
+        <body>
+          <h1>Authentication Failed</h1>
+          <p>${stateErrorDescription}</p>
+        </body>
+      </html>
+    `);
+  }
 
+  logger.info('OAuth state verified successfully');
+
+  try {
     // Exchange Supabase code for tokens
     const supabase = createClient(config.supabase.url, config.supabase.anonKey);
     const { data: sessionData, error: sessionError } = await supabase.auth.exchangeCodeForSession(supabaseCode);
@@ -296,10 +348,9 @@ router.get('/oauth/callback', async (req, res) => {
 
     // Generate authorization code for MCP client
     const authCode = crypto.randomBytes(32).toString('base64url');
-    const expiresAt = Date.now() + (config.oauth.codeExpirySeconds * 1000);
 
     // Store auth code with Supabase tokens
-    authCodes.set(authCode, {
+    await authCodes.set(authCode, {
       accessToken: supabaseAccessToken,
       refreshToken: supabaseRefreshToken,
       codeChallenge: oauthState.codeChallenge,
@@ -307,10 +358,9 @@ router.get('/oauth/callback', async (req, res) => {
       redirectUri: oauthState.redirectUri,
       clientId: oauthState.clientId,
       scope: oauthState.scope,
-      expiresAt,
       userId: sessionData.user.id,
       email: sessionData.user.email
-    });
+    }, config.oauth.codeExpirySeconds);
 
     logger.info('Authorization code generated', { code: authCode.substring(0, 10) + '...' });
 
@@ -341,32 +391,75 @@ router.get('/oauth/callback', async (req, res) => {
 
 /**
  * POST /oauth/token
- * Step 3: Client exchanges authorization code for access token
+ * Step 3: Client exchanges authorization code (or refresh token) for access token
  */
 router.post('/oauth/token', async (req, res) => {
-  const {
-    grant_type,
-    code,
-    redirect_uri,
-    code_verifier,
-    client_id
-  } = req.body;
+  const { grant_type, client_id } = req.body;
 
   logger.info('Token exchange request', {
     grant_type,
     client_id,
-    has_code: !!code,
-    has_verifier: !!code_verifier
+    has_code: !!req.body.code,
+    has_verifier: !!req.body.code_verifier,
+    has_refresh_token: !!req.body.refresh_token
   });
 
-  // Validate grant type
-  if (grant_type !== 'authorization_code') {
+  if (grant_type !== 'authorization_code' && grant_type !== 'refresh_token') {
     return res.status(400).json({
       error: 'unsupported_grant_type',
-      error_description: 'Only authorization_code grant type is supported'
+      error_description: 'Supported grant types: authorization_code, refresh_token'
+    });
+  }
+
+  // Authenticate the client (RFC 6749 Section 2.3)
+  let auth;
+  try {
+    auth = await authenticateClient(req);
+  } catch (error) {
+    logger.error('Client authentication error', { error: error.message });
+    return res.status(500).json({
+      error: 'server_error',
+      error_description: 'Failed to authenticate client'
     });
   }
 
+  if (auth.error) {
+    logger.warn('Client authentication rejected', { client_id, error: auth.error });
+    if (auth.error === 'invalid_client') {
+      if (auth.method === 'client_secret_basic') {
+        res.setHeader('WWW-Authenticate', 'Basic realm="oauth"');
+      }
+      return res.status(401).json({
+        error: auth.error,
+        error_description: auth.error_description
+      });
+    }
+    return res.status(400).json({
+      error: auth.error,
+      error_description: auth.error_description
+    });
+  }
+
+  if (!auth.client.metadata.grant_types.includes(grant_type)) {
+    return res.status(400).json({
+      error: 'unauthorized_client',
+      error_description: `Client is not registered for the ${grant_type} grant type`
+    });
+  }
+
+  if (grant_type === 'authorization_code') {
+    return handleAuthorizationCodeGrant(req, res, auth.client);
+  }
+  return handleRefreshTokenGrant(req, res, auth.client);
+});
+
+/**
+ * grant_type=authorization_code
+ * Redeems a single-use code issued by /oauth/callback after PKCE verification
+ */
+async function handleAuthorizationCodeGrant(req, res, client) {
+  const { code, redirect_uri, code_verifier } = req.body;
+
   // Validate required parameters
   if (!code) {
     return res.status(400).json({
@@ -375,31 +468,41 @@ router.post('/oauth/token', async (req, res) => {
     });
   }
 
-  // Retrieve auth code data
-  const codeData = authCodes.get(code);
-  if (!codeData) {
-    logger.error('Invalid or expired authorization code');
+  // Verify PKCE code_verifier
+  if (!code_verifier) {
     return res.status(400).json({
-      error: 'invalid_grant',
-      error_description: 'Authorization code is invalid or expired'
+      error: 'invalid_request',
+      error_description: 'code_verifier is required for PKCE'
+    });
+  }
+
+  // Retrieve auth code data. Codes are single-use, so it is consumed atomically
+  // here and any failed check below leaves it unusable
+  let codeData;
+  try {
+    codeData = await authCodes.take(code);
+  } catch (error) {
+    logger.error('Failed to load authorization code', { error: error.message });
+    return res.status(500).json({
+      error: 'server_error',
+      error_description: 'Failed to load authorization code'
     });
   }
 
-  // Verify code hasn't expired
-  if (codeData.expiresAt < Date.now()) {
-    authCodes.delete(code);
-    logger.error('Authorization code expired');
+  if (!codeData) {
+    logger.error('Invalid or expired authorization code');
     return res.status(400).json({
       error: 'invalid_grant',
-      error_description: 'Authorization code expired'
+      error_description: 'Authorization code is invalid or expired'
     });
   }
 
-  // Verify PKCE code_verifier
-  if (!code_verifier) {
+  // Verify the code was issued to this client (RFC 6749 Section 4.1.3)
+  if (codeData.clientId !== client.clientId) {
+    logger.error('Authorization code client mismatch', { client_id: client.clientId });
     return res.status(400).json({
-      error: 'invalid_request',
-      error_description: 'code_verifier is required for PKCE'
+      error: 'invalid_grant',
+      error_description: 'Authorization code was issued to another client'
     });
   }
 
@@ -415,7 +518,6 @@ router.post('/oauth/token', async (req, res) => {
     computedChallenge = code_verifier;
   } else {
     logger.error('Unsupported code_challenge_method', { method: codeData.codeChallengeMethod });
-    authCodes.delete(code);
     return res.status(400).json({
       error: 'invalid_grant',
       error_description: 'Unsupported code_challenge_method'
@@ -429,8 +531,6 @@ router.post('/oauth/token', async (req, res) => {
       method: codeData.codeChallengeMethod
     });
 
-    authCodes.delete(code);
-
     return res.status(400).json({
       error: 'invalid_grant',
       error_description: 'PKCE verification failed'
@@ -440,15 +540,24 @@ router.post('/oauth/token', async (req, res) => {
   // Verify redirect_uri matches
   if (redirect_uri !== codeData.redirectUri) {
     logger.error('Redirect URI mismatch');
-    authCodes.delete(code);
     return res.status(400).json({
       error: 'invalid_grant',
       error_description: 'redirect_uri does not match'
     });
   }
 
-  // Code is single-use - delete it now
-  authCodes.delete(code);
+  // Bind the refresh token to this client so no other client can redeem it
+  try {
+    if (codeData.refreshToken) {
+      await recordRefreshGrant(codeData.refreshToken, client.clientId, codeData.scope);
+    }
+  } catch (error) {
+    logger.error('Failed to record refresh grant', { error: error.message });
+    return res.status(500).json({
+      error: 'server_error',
+      error_description: 'Failed to issue tokens'
+    });
+  }
 
   logger.info('Token exchange successful', {
     user_id: codeData.userId,
@@ -463,7 +572,108 @@ router.post('/oauth/token', async (req, res) => {
     refresh_token: codeData.refreshToken,
     scope: codeData.scope
   });
-});
+}
+
+/**
+ * grant_type=refresh_token (RFC 6749 Section 6)
+ * Exchanges the Supabase refresh token for a new session. Supabase rotates
+ * refresh tokens on use, so the old one is invalid once this succeeds.
+ * Only the client the token was issued to may redeem it (Section 10.4), and the
+ * scope can't grow beyond the original grant.
+ */
+async function handleRefreshTokenGrant(req, res, client) {
+  const { refresh_token, scope } = req.body;
+
+  if (!refresh_token) {
+    return res.status(400).json({
+      error: 'invalid_request',
+      error_description: 'Missing refresh_token'
+    });
+  }
+
+  try {
+    const grantKey = hashRefreshToken(refresh_token);
+    const grant = await refreshGrants.get(grantKey);
+
+    if (!grant || grant.clientId !== client.clientId) {
+      logger.warn('Refresh token not issued to this client', { client_id: client.clientId, known: !!grant });
+      return res.status(400).json({
+        error: 'invalid_grant',
+        error_description: 'Refresh token is invalid or was issued to another client'
+      });
+    }
+
+    const grantedScopes = String(grant.scope || '').split(' ').filter(Boolean);
+    const extraScopes = String(scope || '').split(' ').filter(s => s && !grantedScopes.includes(s));
+    if (extraScopes.length > 0) {
+      return res.status(400).json({
+        error: 'invalid_scope',
+        error_description: `Scope exceeds the original grant: ${extraScopes.join(' ')}`
+      });
+    }
+
+    // Claim the grant before Supabase rotates the token: of two concurrent refreshes
+    // only one gets past here, and nothing is left to clean up afterwards
+    if (!(await refreshGrants.take(grantKey))) {
+      logger.warn('Refresh token already being redeemed', { client_id: client.clientId });
+      return res.status(400).json({
+        error: 'invalid_grant',
+        error_description: 'Refresh token is invalid, expired or already used'
+      });
+    }
+
+    const supabase = createClient(config.supabase.url, config.supabase.anonKey, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+    const { data, error } = await supabase.auth.refreshSession({ refresh_token });
+
+    // Supabase unreachable: not the client's fault, so don't report invalid_grant.
+    // The token wasn't rotated, so give the grant back for a retry.
+    if (isAuthRetryableFetchError(error)) {
+      await recordRefreshGrant(refresh_token, client.clientId, grant.scope);
+      throw error;
+    }
+
+    if (error || !data?.session) {
+      logger.warn('Refresh token rejected by Supabase', { error: error?.message });
+      return res.status(400).json({
+        error: 'invalid_grant',
+        error_description: 'Refresh token is invalid, expired or already used'
+      });
+    }
+
+    const { session } = data;
+
+    // The rotated token stays bound to the same client and scope. Supabase has already
+    // spent the old token, so the new tokens are returned even if this write fails; the
+    // client then signs in again at its next refresh instead of now.
+    try {
+      await recordRefreshGrant(session.refresh_token, client.clientId, grant.scope);
+    } catch (grantError) {
+      logger.error('Failed to record rotated refresh token', { client_id: client.clientId, error: grantError.message });
+    }
+
+    logger.info('Token refresh successful', {
+      client_id: client.clientId,
+      user_id: session.user?.id,
+      email: session.user?.email
+    });
+
+    res.json({
+      access_token: session.access_token,
+      token_type: 'Bearer',
+      expires_in: session.expires_in || config.oauth.tokenExpirySeconds,
+      refresh_token: session.refresh_token,
+      scope: grant.scope
+    });
+  } catch (error) {
+    logger.error('Token refresh error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'server_error',
+      error_description: 'Failed to refresh session'
+    });
+  }
+}
 
 /**
  * POST /oauth/register
@@ -481,77 +691,121 @@ router.post('/oauth/register', async (req, res) => {
     full_body: req.body
   });
 
-  // Validate required fields
-  if (!redirect_uris || !Array.isArray(redirect_uris) || redirect_uris.length === 0) {
-    logger.error('Registration failed: invalid redirect_uris', { redirect_uris });
-    return res.status(400).json({
-      error: 'invalid_redirect_uri',
-      error_description: 'redirect_uris is required and must be a non-empty array'
-    });
+  const { metadata, error, error_description } = validateClientMetadata(req.body);
+
+  if (error) {
+    logger.error('Registration failed: invalid client metadata', { error, error_description });
+    return res.status(400).json({ error, error_description });
   }
 
-  // Validate grant types - allow both authorization_code and refresh_token
-  const allowedGrantTypes = ['authorization_code', 'refresh_token'];
-  const requestedGrantTypes = grant_types || ['authorization_code'];
-  const invalidGrantTypes = requestedGrantTypes.filter(gt => !allowedGrantTypes.includes(gt));
+  try {
+    const { client, clientSecret, registrationAccessToken } = await registerClient(metadata);
 
-  if (invalidGrantTypes.length > 0) {
-    logger.error('Registration failed: invalid grant_types', {
-      requested: requestedGrantTypes,
-      invalid: invalidGrantTypes,
-      allowed: allowedGrantTypes
+    logger.info('Client registered successfully', {
+      client_id: client.clientId,
+      client_name: metadata.client_name,
+      auth_method: metadata.token_endpoint_auth_method
     });
-    return res.status(400).json({
-      error: 'invalid_grant_type',
-      error_description: `Unsupported grant types: ${invalidGrantTypes.join(', ')}. Supported: ${allowedGrantTypes.join(', ')}`
+
+    res.status(201).json(toClientInformation(client, { clientSecret, registrationAccessToken }));
+  } catch (error) {
+    logger.error('Client registration error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'server_error',
+      error_description: 'Failed to register client'
     });
   }
+});
 
-  // Validate auth method - support both 'none' (PKCE) and 'client_secret_post'
-  const allowedAuthMethods = ['none', 'client_secret_post', 'client_secret_basic'];
-  const requestedAuthMethod = token_endpoint_auth_method || 'none';
+/**
+ * Authenticate RFC 7592 client configuration requests with the registration access token
+ */
+async function requireRegistrationAccess(req, res, next) {
+  const authHeader = req.headers.authorization;
+  const token = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
 
-  if (!allowedAuthMethods.includes(requestedAuthMethod)) {
-    logger.error('Registration failed: invalid auth method', {
-      token_endpoint_auth_method: requestedAuthMethod,
-      allowed: allowedAuthMethods
+  try {
+    const client = token ? await getClientForRegistration(req.params.client_id, token) : null;
+
+    if (!client) {
+      logger.warn('Client configuration access denied', { client_id: req.params.client_id });
+      res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({
+        error: 'invalid_token',
+        error_description: 'Registration access token is missing, invalid, or the client does not exist'
+      });
+    }
+
+    req.oauthClient = client;
+    next();
+  } catch (error) {
+    logger.error('Client configuration lookup error', { error: error.message });
+    res.status(500).json({
+      error: 'server_error',
+      error_description: 'Failed to look up client'
     });
+  }
+}
+
+/**
+ * GET /oauth/register/:client_id
+ * Client Read Request (RFC 7592 Section 2.1)
+ */
+router.get('/oauth/register/:client_id', requireRegistrationAccess, (req, res) => {
+  res.json(toClientInformation(req.oauthClient));
+});
+
+/**
+ * PUT /oauth/register/:client_id
+ * Client Update Request (RFC 7592 Section 2.2) - replaces all client metadata
+ */
+router.put('/oauth/register/:client_id', requireRegistrationAccess, async (req, res) => {
+  if (req.body.client_id !== req.oauthClient.clientId) {
     return res.status(400).json({
       error: 'invalid_client_metadata',
-      error_description: `Unsupported token_endpoint_auth_method. Supported: ${allowedAuthMethods.join(', ')}`
+      error_description: 'client_id in the request body must match the client being updated'
     });
   }
 
-  // Generate client ID (in production, you might want to store this in a database)
-  const clientId = `mcp_${crypto.randomBytes(16).toString('hex')}`;
+  const { metadata, error, error_description } = validateClientMetadata(req.body);
 
-  // Build registration response
-  const registrationResponse = {
-    client_id: clientId,
-    client_name: client_name || 'MCP Client',
-    redirect_uris,
-    grant_types: requestedGrantTypes,
-    token_endpoint_auth_method: requestedAuthMethod,
-    client_id_issued_at: Math.floor(Date.now() / 1000)
-  };
+  if (error) {
+    return res.status(400).json({ error, error_description });
+  }
 
-  // Generate client_secret if using client_secret_post or client_secret_basic
-  if (requestedAuthMethod === 'client_secret_post' || requestedAuthMethod === 'client_secret_basic') {
-    const clientSecret = crypto.randomBytes(32).toString('base64url');
-    registrationResponse.client_secret = clientSecret;
+  try {
+    const { client, clientSecret } = await updateClient(req.oauthClient, metadata);
+
+    logger.info('Client registration updated', { client_id: client.clientId });
 
-    logger.info('Generated client secret for confidential client', {
-      client_id: clientId,
-      auth_method: requestedAuthMethod
+    res.json(toClientInformation(client, { clientSecret }));
+  } catch (error) {
+    logger.error('Client update error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'server_error',
+      error_description: 'Failed to update client'
     });
   }
+});
 
-  logger.info('Client registered successfully', {
-    client_id: clientId,
-    client_name: registrationResponse.client_name
-  });
+/**
+ * DELETE /oauth/register/:client_id
+ * Client Delete Request (RFC 7592 Section 2.3)
+ */
+router.delete('/oauth/register/:client_id', requireRegistrationAccess, async (req, res) => {
+  try {
+    await deleteClient(req.oauthClient.clientId);
+
+    logger.info('Client registration deleted', { client_id: req.oauthClient.clientId });
 
-  res.status(201).json(registrationResponse);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Client delete error', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'server_error',
+      error_description: 'Failed to delete client'
+    });
+  }
 });
 
 /**
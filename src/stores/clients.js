@@ -0,0 +1,105 @@
+/**
+ * OAuth client registration storage
+ * In-memory store for local development/tests, Supabase table for production
+ */
+
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { getServiceSupabaseClient } from './supabase.js';
+
+/**
+ * Client record shape shared by all stores:
+ * { clientId, clientSecretHash, registrationAccessTokenHash, metadata, clientIdIssuedAt }
+ * metadata holds the RFC 7591 fields (client_name, redirect_uris, grant_types, token_endpoint_auth_method)
+ */
+
+/**
+ * In-memory client store (lost on restart, not shared between replicas)
+ */
+export function createMemoryClientStore() {
+  const clients = new Map();
+
+  return {
+    async get(clientId) {
+      return clients.get(clientId) || null;
+    },
+
+    async save(client) {
+      clients.set(client.clientId, { ...client });
+      return client;
+    },
+
+    async delete(clientId) {
+      return clients.delete(clientId);
+    }
+  };
+}
+
+/**
+ * Supabase-backed client store
+ * Uses the service role key since registrations are not owned by an end user
+ */
+export function createSupabaseClientStore() {
+  const supabase = getServiceSupabaseClient();
+
+  return {
+    async get(clientId) {
+      const { data, error } = await supabase
+        .from('oauth_clients')
+        .select('*')
+        .eq('client_id', clientId)
+        .maybeSingle();
+
+      if (error) throw new Error(`Database error: ${error.message}`);
+      if (!data) return null;
+
+      return {
+        clientId: data.client_id,
+        clientSecretHash: data.client_secret_hash,
+        registrationAccessTokenHash: data.registration_access_token_hash,
+        metadata: data.metadata,
+        clientIdIssuedAt: data.client_id_issued_at
+      };
+    },
+
+    async save(client) {
+      const { error } = await supabase
+        .from('oauth_clients')
+        .upsert({
+          client_id: client.clientId,
+          client_secret_hash: client.clientSecretHash,
+          registration_access_token_hash: client.registrationAccessTokenHash,
+          metadata: client.metadata,
+          client_id_issued_at: client.clientIdIssuedAt,
+          updated_at: new Date().toISOString()
+        });
+
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return client;
+    },
+
+    async delete(clientId) {
+      const { data, error } = await supabase
+        .from('oauth_clients')
+        .delete()
+        .eq('client_id', clientId)
+        .select('client_id');
+
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return data.length > 0;
+    }
+  };
+}
+
+/**
+ * Create the client store selected by config.oauth.store
+ */
+export function createClientStore() {
+  if (config.oauth.store === 'supabase') {
+    logger.info('Using Supabase OAuth client store');
+    return createSupabaseClientStore();
+  }
+
+  logger.info('Using in-memory OAuth client store');
+  return createMemoryClientStore();
+}
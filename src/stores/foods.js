@@ -0,0 +1,162 @@
+/**
+ * Food catalog storage
+ * In-memory store loaded from the bundled dataset (data/foods.json) for local
+ * development/tests, Supabase `foods` table (seeded with scripts/seed-foods.js) for production
+ *
+ * Food record shape shared by all stores:
+ * { id, name, aliases, category, per_100g: { calories, protein, carbs, fat, fiber, sugar, sodium } }
+ */
+
+import { readFileSync } from 'fs';
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { parseCsv } from '../utils/csv.js';
+import { bestSimilarity } from '../utils/fuzzy.js';
+
+// Nutrients stored per 100 g (calories in kcal, sodium in mg, the rest in grams)
+export const FOOD_NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium'];
+
+// Matches scoring below this are not returned at all
+const MIN_SEARCH_SCORE = 0.3;
+
+export const BUNDLED_FOODS_PATH = new URL('../../data/foods.json', import.meta.url);
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Normalize a raw food entry from JSON (nested per_100g) or CSV (flat columns, aliases separated by ";")
+ */
+export function normalizeFood(raw) {
+  if (!raw.name || !String(raw.name).trim()) {
+    throw new Error('Food entry is missing a name');
+  }
+
+  const source = raw.per_100g || raw;
+  const per_100g = {};
+  for (const nutrient of FOOD_NUTRIENTS) {
+    const value = source[nutrient];
+    per_100g[nutrient] = value === undefined || value === null || value === '' ? 0 : Number(value);
+    if (Number.isNaN(per_100g[nutrient])) {
+      throw new Error(`Invalid ${nutrient} value for "${raw.name}": ${value}`);
+    }
+  }
+
+  const aliases = Array.isArray(raw.aliases)
+    ? raw.aliases
+    : String(raw.aliases || '').split(';').map(a => a.trim()).filter(Boolean);
+
+  return {
+    id: raw.id || slugify(raw.name),
+    name: String(raw.name).trim(),
+    aliases,
+    category: raw.category || null,
+    per_100g
+  };
+}
+
+/**
+ * Parse a food dataset file's contents (JSON { foods: [...] } or [...], or CSV with a header row)
+ */
+export function parseFoodDataset(text, format) {
+  if (format === 'csv') {
+    return parseCsv(text).map(normalizeFood);
+  }
+
+  const parsed = JSON.parse(text);
+  const foods = Array.isArray(parsed) ? parsed : parsed.foods;
+  if (!Array.isArray(foods)) {
+    throw new Error('JSON food dataset must be an array or an object with a "foods" array');
+  }
+  return foods.map(normalizeFood);
+}
+
+/**
+ * In-memory food store with fuzzy name search
+ */
+export function createMemoryFoodStore(foods) {
+  const byId = new Map(foods.map(food => [food.id, food]));
+
+  return {
+    async search(query, limit = 5) {
+      return foods
+        .map(food => ({ ...food, score: bestSimilarity(query, [food.name, ...food.aliases]) }))
+        .filter(food => food.score >= MIN_SEARCH_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    },
+
+    async get(id) {
+      return byId.get(id) || null;
+    }
+  };
+}
+
+/**
+ * Convert a row with flat nutrient columns (foods, user_foods) into a food record
+ */
+export function foodFromRow(row) {
+  const per_100g = {};
+  for (const nutrient of FOOD_NUTRIENTS) {
+    per_100g[nutrient] = Number(row[nutrient] ?? 0);
+  }
+  return {
+    id: row.id,
+    name: row.name,
+    aliases: row.aliases || [],
+    category: row.category ?? null,
+    per_100g
+  };
+}
+
+/**
+ * Supabase-backed food store
+ * Fuzzy search runs in Postgres via the search_foods RPC (pg_trgm)
+ */
+export function createSupabaseFoodStore() {
+  const supabase = createClient(config.supabase.url, config.supabase.anonKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+
+  return {
+    async search(query, limit = 5) {
+      const { data, error } = await supabase.rpc('search_foods', {
+        search_query: query,
+        max_results: limit
+      });
+
+      if (error) throw new Error(`Database error: ${error.message}`);
+
+      return (data || [])
+        .map(row => ({ ...foodFromRow(row), score: Number(row.score) }))
+        .filter(food => food.score >= MIN_SEARCH_SCORE);
+    },
+
+    async get(id) {
+      const { data, error } = await supabase
+        .from('foods')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return data ? foodFromRow(data) : null;
+    }
+  };
+}
+
+/**
+ * Create the food store selected by config.foods.store
+ */
+export function createFoodStore() {
+  if (config.foods.store === 'supabase') {
+    logger.info('Using Supabase food catalog');
+    return createSupabaseFoodStore();
+  }
+
+  const foods = parseFoodDataset(readFileSync(BUNDLED_FOODS_PATH, 'utf-8'), 'json');
+  logger.info('Using bundled in-memory food catalog', { foods: foods.length });
+  return createMemoryFoodStore(foods);
+}
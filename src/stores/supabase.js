@@ -0,0 +1,18 @@
+/**
+ * Service-role Supabase client for server-owned tables (OAuth clients, OAuth state)
+ * Bypasses RLS, so never use it for user data
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../config/env.js';
+
+let serviceClient = null;
+
+export function getServiceSupabaseClient() {
+  if (!serviceClient) {
+    serviceClient = createClient(config.supabase.url, config.supabase.serviceRoleKey, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+  }
+  return serviceClient;
+}
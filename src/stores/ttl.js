@@ -0,0 +1,147 @@
+/**
+ * Expiring key-value storage for short-lived OAuth state (authorization codes, etc.)
+ * In-memory store for a single instance, Supabase table so replicas share state
+ *
+ * Every store exposes:
+ *   set(key, value, ttlSeconds) - store a JSON-serializable value
+ *   get(key)                    - value, or null if missing/expired
+ *   take(key)                   - get and delete atomically (single-use values)
+ *   delete(key)
+ */
+
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { getServiceSupabaseClient } from './supabase.js';
+
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * In-memory store (lost on restart, not shared between replicas)
+ */
+export function createMemoryTtlStore(namespace) {
+  const entries = new Map();
+
+  const isLive = (entry) => entry && entry.expiresAt > Date.now();
+
+  // Cleanup expired entries periodically
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries.entries()) {
+      if (entry.expiresAt < now) {
+        entries.delete(key);
+        logger.debug('Deleted expired OAuth state', { namespace });
+      }
+    }
+  }, CLEANUP_INTERVAL_MS).unref();
+
+  return {
+    async set(key, value, ttlSeconds) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+
+    async get(key) {
+      const entry = entries.get(key);
+      return isLive(entry) ? entry.value : null;
+    },
+
+    async take(key) {
+      const entry = entries.get(key);
+      entries.delete(key);
+      return isLive(entry) ? entry.value : null;
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Supabase-backed store using the oauth_state table
+ * Expired rows are ignored on read and purged periodically
+ */
+export function createSupabaseTtlStore(namespace) {
+  const supabase = getServiceSupabaseClient();
+
+  setInterval(async () => {
+    const { error } = await supabase
+      .from('oauth_state')
+      .delete()
+      .eq('namespace', namespace)
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) {
+      logger.warn('Failed to purge expired OAuth state', { namespace, error: error.message });
+    }
+  }, CLEANUP_INTERVAL_MS).unref();
+
+  return {
+    async set(key, value, ttlSeconds) {
+      const { error } = await supabase
+        .from('oauth_state')
+        .upsert({
+          namespace,
+          key,
+          value,
+          expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+        });
+
+      if (error) throw new Error(`Database error: ${error.message}`);
+    },
+
+    async get(key) {
+      const { data, error } = await supabase
+        .from('oauth_state')
+        .select('value')
+        .eq('namespace', namespace)
+        .eq('key', key)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+
+      if (error) throw new Error(`Database error: ${error.message}`);
+      return data ? data.value : null;
+    },
+
+    async take(key) {
+      // A single DELETE ... RETURNING, so only one replica can ever redeem the value
+      const { data, error } = await supabase
+        .from('oauth_state')
+        .delete()
+        .eq('namespace', namespace)
+        .eq('key', key)
+        .select('value, expires_at');
+
+      if (error) throw new Error(`Database error: ${error.message}`);
+
+      const row = data?.[0];
+      if (!row || new Date(row.expires_at).getTime() <= Date.now()) {
+        return null;
+      }
+      return row.value;
+    },
+
+    async delete(key) {
+      const { error } = await supabase
+        .from('oauth_state')
+        .delete()
+        .eq('namespace', namespace)
+        .eq('key', key);
+
+      if (error) throw new Error(`Database error: ${error.message}`);
+    }
+  };
+}
+
+/**
+ * Create the store selected by config.oauth.store
+ * namespace keeps different kinds of state apart in the shared table
+ */
+export function createTtlStore(namespace) {
+  if (config.oauth.store === 'supabase') {
+    logger.info('Using Supabase OAuth state store', { namespace });
+    return createSupabaseTtlStore(namespace);
+  }
+
+  logger.info('Using in-memory OAuth state store', { namespace });
+  return createMemoryTtlStore(namespace);
+}
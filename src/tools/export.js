@@ -0,0 +1,242 @@
+/**
+ * Meal history export (CSV, JSON, NDJSON)
+ * Shared by the export_meals tool and the GET /export route (src/routes/export.js)
+ */
+
+import { logger } from '../utils/logger.js';
+import { createUserSupabaseClient } from '../utils/supabase.js';
+import { formatCsv } from '../utils/csv.js';
+import { DATE_EXPRESSION_HELP, DATE_EXPRESSION_PATTERN } from '../utils/dates.js';
+import { NUTRIENTS, nutrientUnit } from '../utils/nutrients.js';
+import { canonicalNutrients, fetchMealsInRange, toMealRecord } from './meals.js';
+import { createDateResolver } from './settings.js';
+
+export const EXPORT_FORMATS = {
+  csv: { mimeType: 'text/csv', extension: 'csv' },
+  json: { mimeType: 'application/json', extension: 'json' },
+  ndjson: { mimeType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+// CSV layouts: one row per meal, or one row per meal item
+export const CSV_ROW_MODES = ['meal', 'item'];
+
+// The tool returns the export inline, so it stays small enough for a client's context
+const MAX_TOOL_EXPORT_MEALS = 2000;
+
+/**
+ * Nutrient keys found in the meals, in registry order and then alphabetically
+ */
+function nutrientColumns(nutrientMaps) {
+  const found = new Set(nutrientMaps.flatMap(nutrients => Object.keys(nutrients)));
+  const known = Object.keys(NUTRIENTS).filter(key => found.has(key));
+  const other = [...found].filter(key => !NUTRIENTS[key]).sort();
+  return [...known, ...other];
+}
+
+// "protein" -> "protein_g", "sodium" -> "sodium_mg"; calories and nutrients without a unit keep their name
+function columnName(key) {
+  const unit = nutrientUnit(key);
+  return key === 'calories' || !unit ? key : `${key}_${unit}`;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Text a spreadsheet would run as a formula ("=HYPERLINK(...)") is kept as text with a leading '
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function spreadsheetText(value) {
+  return typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value;
+}
+
+/**
+ * CSV with flattened nutrient columns
+ * Per-item rows repeat the whole meal's nutrients as meal_* columns; sum them per meal, not per row.
+ * Text cells are neutralized for spreadsheets; nutrient and grams columns are numbers and left as is.
+ */
+function mealsToCsv(meals, rows) {
+  const nutrients = meals.map(meal => canonicalNutrients(meal.calories, meal.macros));
+  const keys = nutrientColumns(nutrients);
+  const values = i => keys.map(key => (nutrients[i][key] === undefined ? null : round1(nutrients[i][key])));
+
+  if (rows === 'item') {
+    const header = ['meal_id', 'meal_day', 'meal', 'created_at', 'item', 'grams', ...keys.map(key => `meal_${columnName(key)}`)];
+    const lines = meals.flatMap((meal, i) => Object.entries(meal.meal_items).map(([item, grams]) => [
+      meal.id, meal.meal_day, meal.meal, meal.created_at, spreadsheetText(item), grams, ...values(i)
+    ]));
+    return { text: formatCsv(header, lines), rowCount: lines.length };
+  }
+
+  const header = ['id', 'meal_day', 'meal', 'created_at', ...keys.map(columnName), 'meal_items'];
+  const lines = meals.map((meal, i) => [
+    meal.id, meal.meal_day, meal.meal, meal.created_at, ...values(i), JSON.stringify(meal.meal_items)
+  ]);
+  return { text: formatCsv(header, lines), rowCount: lines.length };
+}
+
+/**
+ * Number of the user's meals between startDate and endDate (null = unbounded), without fetching them
+ */
+async function countMealsInRange(supabase, startDate, endDate) {
+  let query = supabase.from('fact_meal_macros').select('id', { count: 'exact', head: true });
+  if (startDate) query = query.gte('meal_day', startDate);
+  if (endDate) query = query.lte('meal_day', endDate);
+
+  const { count, error } = await query;
+  if (error) throw new Error(`Database error: ${error.message}`);
+
+  return count || 0;
+}
+
+/**
+ * Export the user's meals between startDate and endDate (null = unbounded), oldest first
+ * Returns { filename, mimeType, text, meal_count, row_count }
+ */
+export async function exportMeals(supabase, { startDate = null, endDate = null, format = 'csv', rows = 'meal' }) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  if (!CSV_ROW_MODES.includes(rows)) {
+    throw new Error(`Unknown rows "${rows}". Use one of: ${CSV_ROW_MODES.join(', ')}`);
+  }
+
+  const meals = (await fetchMealsInRange(supabase, startDate, endDate, '*'))
+    .map(toMealRecord)
+    .sort((a, b) => a.meal_day.localeCompare(b.meal_day) || String(a.created_at).localeCompare(String(b.created_at)));
+
+  let text;
+  let rowCount = meals.length;
+  if (format === 'csv') {
+    ({ text, rowCount } = mealsToCsv(meals, rows));
+  } else if (format === 'ndjson') {
+    text = meals.map(meal => JSON.stringify(meal)).join('\n') + (meals.length > 0 ? '\n' : '');
+  } else {
+    text = JSON.stringify({ start_date: startDate, end_date: endDate, meal_count: meals.length, meals }, null, 2);
+  }
+
+  const name = format === 'csv' && rows === 'item' ? 'meal-items' : 'meals';
+  const range = startDate || endDate ? `_${startDate || 'start'}_to_${endDate || 'latest'}` : '_all';
+
+  return {
+    filename: `${name}${range}.${EXPORT_FORMATS[format].extension}`,
+    mimeType: EXPORT_FORMATS[format].mimeType,
+    text,
+    meal_count: meals.length,
+    row_count: rowCount
+  };
+}
+
+/**
+ * Get export tool definitions
+ */
+export function getExportTools() {
+  return [
+    {
+      name: 'export_meals',
+      description: `🔐 [REQUIRES AUTH] Export your meal history for a spreadsheet or another app, as CSV (one row per meal or per item, with a column per nutrient), JSON or NDJSON. Returns the file as an embedded resource. At most ${MAX_TOOL_EXPORT_MEALS} meals; larger exports are available from GET /export. You must authenticate to use this tool.`,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          date: {
+            type: 'string',
+            pattern: DATE_EXPRESSION_PATTERN,
+            description: `First day to export: ${DATE_EXPRESSION_HELP}. A period such as "last_month" covers the whole period. Default: all history`
+          },
+          end_date: {
+            type: 'string',
+            pattern: DATE_EXPRESSION_PATTERN,
+            description: `Last day to export: ${DATE_EXPRESSION_HELP}. Default: latest meal`
+          },
+          format: {
+            type: 'string',
+            enum: Object.keys(EXPORT_FORMATS),
+            default: 'csv',
+            description: 'File format. Default: csv'
+          },
+          rows: {
+            type: 'string',
+            enum: CSV_ROW_MODES,
+            default: 'meal',
+            description: 'For CSV: one row per meal, or one row per meal item (with the meal\'s nutrients repeated as meal_* columns). Default: meal'
+          }
+        }
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', enum: Object.keys(EXPORT_FORMATS) },
+          rows: { type: 'string', enum: CSV_ROW_MODES },
+          start_date: { type: ['string', 'null'] },
+          end_date: { type: ['string', 'null'] },
+          meal_count: { type: 'integer' },
+          row_count: { type: 'integer' },
+          filename: { type: 'string' },
+          mime_type: { type: 'string' },
+          uri: { type: 'string', description: 'URI of the embedded resource holding the file' }
+        },
+        required: ['format', 'meal_count', 'row_count', 'filename', 'mime_type', 'uri']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          const { date, end_date, format = 'csv', rows = 'meal' } = args;
+
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+          const { start, end } = await createDateResolver(supabase).openRange(date, end_date);
+
+          logger.info('Exporting meals', { user_id: userId, start_date: start, end_date: end, format, rows });
+
+          // Check the size before loading the whole history into memory
+          const mealCount = await countMealsInRange(supabase, start, end);
+          if (mealCount > MAX_TOOL_EXPORT_MEALS) {
+            throw new Error(`${mealCount} meals is too many to return inline (max ${MAX_TOOL_EXPORT_MEALS}). Narrow the dates, or download the export from GET /export with your access token`);
+          }
+
+          const file = await exportMeals(supabase, { startDate: start, endDate: end, format, rows });
+
+          const uri = `macro://exports/${file.filename}`;
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `📦 Exported ${file.meal_count} meal(s) as ${format.toUpperCase()}${format === 'csv' ? ` (${file.row_count} rows, one per ${rows})` : ''}: ${file.filename}`
+              },
+              {
+                type: 'resource',
+                resource: { uri, mimeType: file.mimeType, text: file.text }
+              }
+            ],
+            structuredContent: {
+              format,
+              rows,
+              start_date: start,
+              end_date: end,
+              meal_count: file.meal_count,
+              row_count: file.row_count,
+              filename: file.filename,
+              mime_type: file.mimeType,
+              uri
+            }
+          };
+        } catch (error) {
+          logger.error('export_meals error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error exporting meals: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    }
+  ];
+}
@@ -0,0 +1,563 @@
+/**
+ * Food catalog lookup and personal food tools
+ * Nutrition comes from the catalog or the user's own foods (user_foods) instead
+ * of being estimated by the model. Personal foods win over catalog entries that
+ * match equally well.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { createUserSupabaseClient } from '../utils/supabase.js';
+import { coversQueryWords } from '../utils/fuzzy.js';
+import { createFoodStore, createMemoryFoodStore, foodFromRow, FOOD_NUTRIENTS } from '../stores/foods.js';
+import { FOOD_SCHEMA, NUMBER_MAP_SCHEMA } from './schemas.js';
+
+// A catalog match must score at least this high to be used for automatic macro calculation,
+// and its name or an alias must contain every word of the item (see coversQueryWords)
+const MIN_AUTO_MATCH_SCORE = 0.5;
+
+// Candidates checked per item for automatic macro calculation
+const AUTO_MATCH_CANDIDATES = 5;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const foodStore = createFoodStore();
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Scale per-100g nutrients to a quantity in grams
+ */
+export function scaleNutrients(per100g, grams) {
+  const scaled = {};
+  for (const nutrient of FOOD_NUTRIENTS) {
+    scaled[nutrient] = round1((per100g[nutrient] || 0) * grams / 100);
+  }
+  return scaled;
+}
+
+/**
+ * Fetch the user's personal foods as food records - RLS limits the result to their own rows
+ */
+export async function fetchCustomFoods(supabase) {
+  const { data, error } = await supabase
+    .from('user_foods')
+    .select('*')
+    .order('name', { ascending: true });
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+
+  return (data || []).map(row => ({ ...foodFromRow(row), source: 'custom' }));
+}
+
+/**
+ * Fetch one food by ID: a personal food (UUID) or a catalog food
+ * Returns null if there is no such food
+ */
+export async function fetchFood(supabase, id) {
+  if (UUID_PATTERN.test(id)) {
+    const { data, error } = await supabase
+      .from('user_foods')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+    if (data) return { ...foodFromRow(data), source: 'custom' };
+  }
+
+  const food = await foodStore.get(id);
+  return food ? { ...food, source: 'catalog' } : null;
+}
+
+/**
+ * Search personal foods and the catalog together, best match first
+ * On equal scores personal foods come first
+ */
+export async function searchFoods(query, limit = 5, customFoods = []) {
+  const [custom, catalog] = await Promise.all([
+    createMemoryFoodStore(customFoods).search(query, limit),
+    foodStore.search(query, limit)
+  ]);
+
+  return [...custom, ...catalog.map(food => ({ ...food, source: 'catalog' }))]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Compute calories and macros for meal_items ({ "food name": grams }) from personal foods and the catalog
+ * Returns { calories, macros, matches, unresolved } where unresolved lists items with no confident match
+ */
+export async function computeMealNutrition(mealItems, customFoods = []) {
+  const totals = Object.fromEntries(FOOD_NUTRIENTS.map(nutrient => [nutrient, 0]));
+  const matches = [];
+  const unresolved = [];
+
+  for (const [item, grams] of Object.entries(mealItems)) {
+    // Anything less certain is left for the caller to confirm with lookup_food
+    const candidates = await searchFoods(item, AUTO_MATCH_CANDIDATES, customFoods);
+    const best = candidates.find(food =>
+      food.score >= MIN_AUTO_MATCH_SCORE && coversQueryWords(item, [food.name, ...(food.aliases || [])])
+    );
+
+    if (!best) {
+      unresolved.push(item);
+      continue;
+    }
+
+    const nutrients = scaleNutrients(best.per_100g, grams);
+    for (const nutrient of FOOD_NUTRIENTS) {
+      totals[nutrient] += nutrients[nutrient];
+    }
+    matches.push({ item, grams, food_id: best.id, food_name: best.name, source: best.source, score: round1(best.score) });
+  }
+
+  const { calories, ...macros } = totals;
+  for (const nutrient of Object.keys(macros)) {
+    macros[nutrient] = round1(macros[nutrient]);
+  }
+
+  return { calories: Math.round(calories), macros, matches, unresolved };
+}
+
+// Editable columns of user_foods
+const CUSTOM_FOOD_FIELDS = ['name', 'aliases', 'category', ...FOOD_NUTRIENTS];
+
+const NUTRIENT_DESCRIPTIONS = {
+  calories: 'Calories (kcal) per 100 g',
+  protein: 'Protein in grams per 100 g',
+  carbs: 'Carbohydrates in grams per 100 g',
+  fat: 'Fat in grams per 100 g',
+  fiber: 'Fiber in grams per 100 g',
+  sugar: 'Sugar in grams per 100 g',
+  sodium: 'Sodium in milligrams per 100 g'
+};
+
+const customFoodProperties = {
+  name: {
+    type: 'string',
+    minLength: 1,
+    description: 'Name of the food (e.g., "Mom\'s lasagna"). Must be unique among your foods'
+  },
+  aliases: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Other names the food should be found by'
+  },
+  category: {
+    type: 'string',
+    description: 'Optional category (e.g., "dishes", "snacks")'
+  },
+  ...Object.fromEntries(FOOD_NUTRIENTS.map(nutrient => [nutrient, {
+    type: 'number',
+    minimum: 0,
+    description: NUTRIENT_DESCRIPTIONS[nutrient]
+  }]))
+};
+
+function customFoodDatabaseError(error, name) {
+  // Unique (user_id, name) violation
+  if (error.code === '23505') {
+    return new Error(`You already have a food named "${name}"`);
+  }
+  return new Error(`Database error: ${error.message}`);
+}
+
+/**
+ * Get food catalog and personal food tool definitions
+ */
+export function getFoodTools() {
+  return [
+    {
+      name: 'lookup_food',
+      description: '🔐 [REQUIRES AUTH] Look up foods by name in your personal foods and the nutrition catalog (fuzzy match, typos are fine). Returns calories (kcal), protein, carbs, fat, fiber, sugar (g) and sodium (mg) per 100 g, and optionally scaled to a quantity. Use this instead of estimating macros. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            minLength: 1,
+            description: 'Food name to search for (e.g., "chicken breast", "brown rice")'
+          },
+          grams: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            description: 'Optional quantity in grams to compute nutrients for'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 20,
+            default: 5,
+            description: 'Maximum number of matches to return. Default: 5'
+          }
+        },
+        required: ['query']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          foods: {
+            type: 'array',
+            items: {
+              ...FOOD_SCHEMA,
+              properties: {
+                ...FOOD_SCHEMA.properties,
+                match_score: { type: 'number' },
+                grams: { type: 'number' },
+                nutrients: NUMBER_MAP_SCHEMA
+              }
+            }
+          }
+        },
+        required: ['query', 'foods']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          const { query, grams, limit = 5 } = args;
+
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          logger.info('Looking up food', { user_id: authInfo.userId, query });
+
+          const supabase = createUserSupabaseClient(authInfo.token);
+          const results = await searchFoods(query, limit, await fetchCustomFoods(supabase));
+
+          if (results.length === 0) {
+            return {
+              content: [{
+                type: 'text',
+                text: `No foods found matching "${query}".`
+              }],
+              structuredContent: { query, foods: [] }
+            };
+          }
+
+          const foods = results.map(food => ({
+            id: food.id,
+            name: food.name,
+            source: food.source,
+            category: food.category,
+            match_score: round1(food.score),
+            per_100g: food.per_100g,
+            ...(grams ? { grams, nutrients: scaleNutrients(food.per_100g, grams) } : {})
+          }));
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Foods matching "${query}" (${foods.length} results):\n\n${JSON.stringify(foods, null, 2)}`
+            }],
+            structuredContent: { query, foods }
+          };
+        } catch (error) {
+          logger.error('lookup_food error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error looking up food: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    },
+    {
+      name: 'create_custom_food',
+      description: '🔐 [REQUIRES AUTH] Add a personal food (e.g., a homemade dish or a branded product) with its nutrients per 100 g. Personal foods are used by lookup_food and when save_meal computes macros from meal_items. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: customFoodProperties,
+        required: ['name', 'calories', 'protein', 'carbs', 'fat']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          food: FOOD_SCHEMA
+        },
+        required: ['food']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+
+          const food = {
+            id: crypto.randomUUID(),
+            user_id: userId,
+            name: args.name.trim(),
+            aliases: args.aliases || [],
+            category: args.category ?? null
+          };
+          for (const nutrient of FOOD_NUTRIENTS) {
+            food[nutrient] = args[nutrient] ?? 0;
+          }
+
+          logger.info('Creating custom food', { user_id: userId, name: food.name });
+
+          // Insert food - RLS ensures user can only insert to their own records
+          const { data, error } = await supabase
+            .from('user_foods')
+            .insert(food)
+            .select()
+            .single();
+
+          if (error) {
+            logger.error('Supabase insert error', { error: error.message, user_id: userId });
+            throw customFoodDatabaseError(error, food.name);
+          }
+
+          logger.info('Custom food created successfully', { food_id: data.id, user_id: userId });
+
+          const created = { ...foodFromRow(data), source: 'custom' };
+
+          return {
+            content: [{
+              type: 'text',
+              text: `✅ Food "${data.name}" saved!
+
+Food ID: ${data.id}
+
+${JSON.stringify(created, null, 2)}`
+            }],
+            structuredContent: { food: created }
+          };
+        } catch (error) {
+          logger.error('create_custom_food error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error creating food: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    },
+    {
+      name: 'list_custom_foods',
+      description: '🔐 [REQUIRES AUTH] List your personal foods with their nutrients per 100 g. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {}
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          foods: { type: 'array', items: FOOD_SCHEMA }
+        },
+        required: ['foods']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          const supabase = createUserSupabaseClient(authInfo.token);
+
+          logger.info('Listing custom foods', { user_id: authInfo.userId });
+
+          const foods = await fetchCustomFoods(supabase);
+
+          return {
+            content: [{
+              type: 'text',
+              text: foods.length > 0
+                ? `Your Foods (${foods.length} foods):\n\n${JSON.stringify(foods, null, 2)}`
+                : 'No personal foods yet. Use create_custom_food to add one.'
+            }],
+            structuredContent: { foods }
+          };
+        } catch (error) {
+          logger.error('list_custom_foods error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error listing foods: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    },
+    {
+      name: 'update_custom_food',
+      description: '🔐 [REQUIRES AUTH] Correct a personal food. Only the fields you pass are changed. Meals already saved keep their stored macros. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          food_id: {
+            type: 'string',
+            format: 'uuid',
+            description: 'ID of the food to update (as returned by create_custom_food or list_custom_foods)'
+          },
+          ...customFoodProperties
+        },
+        required: ['food_id']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          food: FOOD_SCHEMA
+        },
+        required: ['food']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          const { food_id } = args;
+
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          const patch = {};
+          for (const field of CUSTOM_FOOD_FIELDS) {
+            if (args[field] !== undefined) {
+              patch[field] = field === 'name' ? args.name.trim() : args[field];
+            }
+          }
+
+          if (Object.keys(patch).length === 0) {
+            throw new Error(`Nothing to update. Provide at least one of: ${CUSTOM_FOOD_FIELDS.join(', ')}`);
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+
+          logger.info('Updating custom food', { user_id: userId, food_id, fields: Object.keys(patch) });
+
+          // RLS hides foods belonging to other users, so an empty result means not found
+          const { data, error } = await supabase
+            .from('user_foods')
+            .update({ ...patch, updated_at: new Date().toISOString() })
+            .eq('id', food_id)
+            .select()
+            .maybeSingle();
+
+          if (error) {
+            logger.error('Supabase update error', { error: error.message, user_id: userId });
+            throw customFoodDatabaseError(error, patch.name);
+          }
+          if (!data) throw new Error(`Food ${food_id} not found`);
+
+          logger.info('Custom food updated successfully', { food_id, user_id: userId });
+
+          const food = { ...foodFromRow(data), source: 'custom' };
+
+          return {
+            content: [{
+              type: 'text',
+              text: `✅ Food updated successfully!
+
+Food ID: ${food_id}
+Changed fields: ${Object.keys(patch).join(', ')}
+
+${JSON.stringify(food, null, 2)}`
+            }],
+            structuredContent: { food }
+          };
+        } catch (error) {
+          logger.error('update_custom_food error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error updating food: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    },
+    {
+      name: 'delete_custom_food',
+      description: '🔐 [REQUIRES AUTH] Delete a personal food. Meals already saved keep their stored macros. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          food_id: {
+            type: 'string',
+            format: 'uuid',
+            description: 'ID of the food to delete'
+          }
+        },
+        required: ['food_id']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          deleted_count: { type: 'integer' },
+          deleted: { type: 'array', items: FOOD_SCHEMA }
+        },
+        required: ['deleted_count', 'deleted']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          const { food_id } = args;
+
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+
+          logger.info('Deleting custom food', { user_id: userId, food_id });
+
+          const { data: deleted, error } = await supabase
+            .from('user_foods')
+            .delete()
+            .eq('id', food_id)
+            .select();
+
+          if (error) {
+            logger.error('Supabase delete error', { error: error.message, user_id: userId });
+            throw new Error(`Database error: ${error.message}`);
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: deleted?.length
+                ? `🗑️ Deleted food "${deleted[0].name}".`
+                : `No food found to delete for ${food_id}.`
+            }],
+            structuredContent: {
+              deleted_count: deleted?.length || 0,
+              deleted: (deleted || []).map(row => ({ ...foodFromRow(row), source: 'custom' }))
+            }
+          };
+        } catch (error) {
+          logger.error('delete_custom_food error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error deleting food: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    }
+  ];
+}
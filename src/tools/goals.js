@@ -0,0 +1,245 @@
+/**
+ * Nutrition goal tools with Supabase integration
+ * Goals are versioned by effective_date: the goal that applies to a day is the
+ * latest one whose effective_date is on or before that day
+ */
+
+import { logger } from '../utils/logger.js';
+import { createUserSupabaseClient } from '../utils/supabase.js';
+import { todayIn } from '../utils/dates.js';
+import { fetchUserTimezone } from './settings.js';
+import { GOAL_RECORD_SCHEMA } from './schemas.js';
+
+// Daily targets stored in user_goals (calories in kcal, sodium in mg, the rest in grams)
+export const GOAL_FIELDS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium'];
+
+// Goals that are upper limits rather than targets to reach
+export const LIMIT_GOAL_FIELDS = ['sugar', 'sodium'];
+
+/**
+ * Fetch every goal version that can apply on or before endDate, oldest first
+ */
+export async function fetchGoalHistory(supabase, endDate) {
+  let query = supabase
+    .from('user_goals')
+    .select('*')
+    .order('effective_date', { ascending: true });
+
+  if (endDate) {
+    query = query.lte('effective_date', endDate);
+  }
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Database error: ${error.message}`);
+
+  return data || [];
+}
+
+/**
+ * Pick the goal active on a given YYYY-MM-DD date from a history sorted oldest first
+ */
+export function goalForDate(history, date) {
+  let active = null;
+  for (const goal of history) {
+    if (goal.effective_date > date) break;
+    active = goal;
+  }
+  return active;
+}
+
+/**
+ * Get nutrition goal tool definitions
+ */
+export function getGoalTools() {
+  return [
+    {
+      name: 'set_goals',
+      description: '🔐 [REQUIRES AUTH] Set your daily nutrition targets. Goals take effect from effective_date (default: today) onwards; earlier days keep being judged against the goal that was active then. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          calories: {
+            type: 'integer',
+            minimum: 0,
+            description: 'Daily calorie target (kcal)'
+          },
+          protein: {
+            type: 'number',
+            minimum: 0,
+            description: 'Daily protein target in grams'
+          },
+          carbs: {
+            type: 'number',
+            minimum: 0,
+            description: 'Daily carbohydrate target in grams'
+          },
+          fat: {
+            type: 'number',
+            minimum: 0,
+            description: 'Daily fat target in grams'
+          },
+          fiber: {
+            type: 'number',
+            minimum: 0,
+            description: 'Optional daily fiber target in grams'
+          },
+          sugar: {
+            type: 'number',
+            minimum: 0,
+            description: 'Optional daily sugar limit in grams'
+          },
+          sodium: {
+            type: 'number',
+            minimum: 0,
+            description: 'Optional daily sodium limit in milligrams'
+          },
+          effective_date: {
+            type: 'string',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            description: 'Date from which the goal applies, in YYYY-MM-DD format. Default: today in your timezone'
+          }
+        },
+        required: ['calories', 'protein', 'carbs', 'fat']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          goal: GOAL_RECORD_SCHEMA
+        },
+        required: ['goal']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+          const effective_date = args.effective_date || todayIn(await fetchUserTimezone(supabase));
+
+          const goal = { user_id: userId, effective_date };
+          for (const field of GOAL_FIELDS) {
+            goal[field] = args[field] ?? null;
+          }
+
+          logger.info('Setting goals', { user_id: userId, effective_date });
+
+          // One goal version per day - setting goals twice on the same day replaces them
+          const { data, error } = await supabase
+            .from('user_goals')
+            .upsert(goal, { onConflict: 'user_id,effective_date' })
+            .select()
+            .single();
+
+          if (error) {
+            logger.error('Supabase upsert error', { error: error.message, user_id: userId });
+            throw new Error(`Database error: ${error.message}`);
+          }
+
+          logger.info('Goals saved successfully', { user_id: userId, effective_date });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `✅ Goals saved! Effective from ${effective_date}.
+
+${JSON.stringify(data, null, 2)}`
+            }],
+            structuredContent: { goal: data }
+          };
+        } catch (error) {
+          logger.error('set_goals error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error saving goals: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    },
+    {
+      name: 'get_goals',
+      description: '🔐 [REQUIRES AUTH] Get your daily nutrition targets: the goal active on a date (default: today), or the full history of goal changes. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          date: {
+            type: 'string',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+            description: 'Return the goal that was active on this date (YYYY-MM-DD). Default: today in your timezone'
+          },
+          history: {
+            type: 'boolean',
+            default: false,
+            description: 'Return every goal version instead of only the active one'
+          }
+        }
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', description: 'Date the active goal was looked up for (omitted for history)' },
+          goal: { anyOf: [GOAL_RECORD_SCHEMA, { type: 'null' }] },
+          goals: { type: 'array', items: GOAL_RECORD_SCHEMA }
+        }
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          const { history = false } = args;
+
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+          const date = args.date || todayIn(await fetchUserTimezone(supabase));
+
+          logger.info('Querying goals', { user_id: userId, date, history });
+
+          if (history) {
+            const goals = await fetchGoalHistory(supabase);
+
+            return {
+              content: [{
+                type: 'text',
+                text: goals.length > 0
+                  ? `Goal History (${goals.length} versions):\n\n${JSON.stringify(goals, null, 2)}`
+                  : 'No goals set yet. Use set_goals to define your daily targets.'
+              }],
+              structuredContent: { goals }
+            };
+          }
+
+          const goal = goalForDate(await fetchGoalHistory(supabase, date), date);
+
+          return {
+            content: [{
+              type: 'text',
+              text: goal
+                ? `Goals active on ${date} (effective since ${goal.effective_date}):\n\n${JSON.stringify(goal, null, 2)}`
+                : `No goals set for ${date}. Use set_goals to define your daily targets.`
+            }],
+            structuredContent: { date, goal }
+          };
+        } catch (error) {
+          logger.error('get_goals error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error querying goals: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    }
+  ];
+}
@@ -0,0 +1,714 @@
+/**
+ * Meal history import from CSV (our own export, any spreadsheet, MyFitnessPal)
+ * Shared by the import_meals tool and the POST /import route (src/routes/import.js)
+ *
+ * Rows are validated with the same rules as save_meal, duplicates of meals already
+ * logged (or earlier in the file) are skipped, and the rest are inserted in batches.
+ * Every problem is reported against the spreadsheet row numbers it came from.
+ */
+
+import { logger } from '../utils/logger.js';
+import { createUserSupabaseClient } from '../utils/supabase.js';
+import { parseCsvRows } from '../utils/csv.js';
+import { NUTRIENTS, resolveNutrient } from '../utils/nutrients.js';
+import { isDateString } from '../utils/dates.js';
+import { MEAL_TYPES, fetchMealsInRange, insertMeals, prepareMacros } from './meals.js';
+import { computeMealNutrition, fetchCustomFoods } from './foods.js';
+import { NUMBER_MAP_SCHEMA } from './schemas.js';
+
+// Meals inserted per request
+const IMPORT_BATCH_SIZE = 500;
+
+// Meals listed in a dry-run preview
+const IMPORT_PREVIEW_SIZE = 20;
+
+// The tool receives the file inline, so larger files go through POST /import
+const MAX_TOOL_IMPORT_ROWS = 2000;
+
+// Fields a column mapping can set; nutrients maps nutrient names to columns
+export const IMPORT_COLUMN_FIELDS = ['date', 'meal', 'calories', 'item', 'grams', 'meal_items', 'group'];
+
+/**
+ * Column presets per format: candidate header names for each field (matched case-insensitively),
+ * columns that are never values, and meal names that aren't meal types. Every other column
+ * is calories or a nutrient: registry nutrients are recognised by their header ("Protein (g)",
+ * "sodium_mg"), and any other header whose cells are all numbers is kept under its own name
+ * ("Polyunsaturated Fat", "vitamin_c"). Headers prefixed with meal_ ("meal_calories",
+ * "meal_protein_g", as in a per-item export) hold the whole meal's values, repeated on each
+ * of its rows.
+ */
+export const IMPORT_FORMATS = {
+  // Our own export (see export_meals) or any spreadsheet with similar headers
+  csv: {
+    columns: {
+      date: ['meal_day', 'date', 'day'],
+      meal: ['meal', 'meal_type'],
+      item: ['item', 'food', 'food_name'],
+      grams: ['grams', 'amount_g', 'weight_g'],
+      meal_items: ['meal_items', 'items'],
+      group: ['meal_id']
+    },
+    ignore: ['id', 'created_at'],
+    mealNames: { snack: 'extra', snacks: 'extra' }
+  },
+  // MyFitnessPal "Nutrition Summary" export: one row per meal per day, no items
+  myfitnesspal: {
+    columns: {
+      date: ['Date'],
+      meal: ['Meal']
+    },
+    ignore: ['Note'],
+    mealNames: { snacks: 'extra' }
+  }
+};
+
+function snakeCase(text) {
+  return String(text).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Work out which header is used for each field
+ * Explicit columns override the format preset; a column named explicitly must exist.
+ * records are the data rows, used to tell value columns from text ones. Columns that
+ * aren't used are listed in ignored.
+ */
+function resolveColumns(header, records, format, columns = {}) {
+  const preset = IMPORT_FORMATS[format];
+  const byName = new Map(header.map(name => [name.toLowerCase(), name]));
+  const find = name => byName.get(String(name).trim().toLowerCase());
+
+  for (const field of Object.keys(columns)) {
+    if (field !== 'nutrients' && !IMPORT_COLUMN_FIELDS.includes(field)) {
+      throw new Error(`Unknown column mapping "${field}". Use ${[...IMPORT_COLUMN_FIELDS, 'nutrients'].join(', ')}`);
+    }
+  }
+
+  const resolved = { nutrients: [], mealCalories: null, mealNutrients: [], ignored: [] };
+  for (const field of IMPORT_COLUMN_FIELDS) {
+    if (columns[field]) {
+      resolved[field] = find(columns[field]);
+      if (!resolved[field]) {
+        throw new Error(`Column "${columns[field]}" (${field}) is not in the CSV header`);
+      }
+    } else {
+      resolved[field] = (preset.columns[field] || []).map(find).find(Boolean) || null;
+    }
+  }
+
+  const used = new Set(IMPORT_COLUMN_FIELDS.map(field => resolved[field]).filter(Boolean));
+  const claimed = new Map();
+  const claim = (key, name, column) => {
+    if (claimed.has(key)) {
+      throw new Error(`Columns "${claimed.get(key)}" and "${column}" both map to ${key}`);
+    }
+    claimed.set(key, column);
+    used.add(column);
+    resolved.nutrients.push({ name, column });
+  };
+
+  for (const [name, column] of Object.entries(columns.nutrients || {})) {
+    const found = find(column);
+    if (!found) {
+      throw new Error(`Column "${column}" (nutrient ${name}) is not in the CSV header`);
+    }
+    const { key } = resolveNutrient(name);
+    if (key === 'calories') {
+      throw new Error('Map calories with columns.calories, not columns.nutrients');
+    }
+    claim(key, name, found);
+  }
+
+  // Detect the remaining calories and nutrient columns by header. Registry nutrients must
+  // hold numbers (a bad cell is a row error); other columns count only when all theirs do.
+  const isNumeric = column => records.every(record => {
+    try {
+      parseNumber(record[column]);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+  const ignore = new Set(preset.ignore.map(name => name.toLowerCase()));
+  const mealClaimed = new Set();
+  for (const column of header) {
+    if (used.has(column)) continue;
+
+    // Whole-meal values: meal_calories, meal_protein_g
+    const wholeMeal = column.toLowerCase().startsWith('meal_');
+    const name = wholeMeal ? column.slice('meal_'.length) : column;
+    const { key } = resolveNutrient(name);
+
+    if (ignore.has(column.toLowerCase()) || !key || (!NUTRIENTS[key] && !isNumeric(column))) {
+      resolved.ignored.push(column);
+    } else if (wholeMeal) {
+      if (key === 'calories' && !resolved.mealCalories) {
+        resolved.mealCalories = column;
+      } else if (key !== 'calories' && !mealClaimed.has(key)) {
+        mealClaimed.add(key);
+        resolved.mealNutrients.push({ name, column });
+      } else {
+        resolved.ignored.push(column);
+      }
+    } else if (key === 'calories' && !resolved.calories) {
+      resolved.calories = column;
+      used.add(column);
+    } else if (key !== 'calories' && !claimed.has(key)) {
+      claim(key, column, column);
+    } else {
+      resolved.ignored.push(column);
+    }
+  }
+
+  if (!resolved.date || !resolved.meal) {
+    const missing = ['date', 'meal'].filter(field => !resolved[field]);
+    throw new Error(`No ${missing.join(' or ')} column found. Map it with columns.${missing[0]} (header: ${header.join(', ')})`);
+  }
+  if (!resolved.calories && !resolved.mealCalories && !resolved.item && !resolved.meal_items &&
+      resolved.nutrients.length === 0 && resolved.mealNutrients.length === 0) {
+    throw new Error('No calories, nutrient or item columns found. Map them with columns');
+  }
+
+  return resolved;
+}
+
+/**
+ * Number from a CSV cell: "1,234.5" -> 1234.5, "" -> null
+ * Grams may carry a "g" suffix ("150 g")
+ */
+function parseNumber(text, { grams = false } = {}) {
+  let value = String(text ?? '').trim();
+  if (value === '') return null;
+
+  if (grams) value = value.replace(/\s*g$/i, '');
+  if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value)) value = value.replace(/,/g, '');
+
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number)) {
+    throw new Error(`"${text}" is not a number`);
+  }
+  return number;
+}
+
+/**
+ * Read one CSV row into { calories, macros, items, mealCalories, mealMacros }, or throw
+ * with the offending column
+ */
+function readRow(values, columns) {
+  const cell = column => values[column] ?? '';
+  const read = (column, options) => {
+    try {
+      return parseNumber(cell(column), options);
+    } catch (error) {
+      throw new Error(`${column}: ${error.message}`);
+    }
+  };
+
+  const calories = columns.calories ? read(columns.calories) : null;
+
+  const readNutrients = nutrientColumns => {
+    const values = {};
+    for (const { name, column } of nutrientColumns) {
+      const value = read(column);
+      if (value !== null) values[name] = value;
+    }
+    return values;
+  };
+  const macros = readNutrients(columns.nutrients);
+  const mealCalories = columns.mealCalories ? read(columns.mealCalories) : null;
+  const mealMacros = readNutrients(columns.mealNutrients);
+
+  const items = {};
+  if (columns.meal_items && cell(columns.meal_items).trim() !== '') {
+    let parsed;
+    try {
+      parsed = JSON.parse(cell(columns.meal_items));
+    } catch {
+      throw new Error(`${columns.meal_items}: not a JSON object of item grams`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) ||
+        Object.values(parsed).some(grams => typeof grams !== 'number' || !Number.isFinite(grams))) {
+      throw new Error(`${columns.meal_items}: not a JSON object of item grams`);
+    }
+    Object.assign(items, parsed);
+  }
+  if (columns.item && cell(columns.item).trim() !== '') {
+    // export_meals writes item names a spreadsheet would run as a formula with a leading '
+    const item = cell(columns.item).trim().replace(/^'(?=[=+\-@\t\r])/, '');
+    const grams = columns.grams ? read(columns.grams, { grams: true }) : null;
+    if (grams === null) {
+      throw new Error(`${columns.grams || 'grams'}: missing grams for "${item}"`);
+    }
+    items[item] = grams;
+  }
+
+  return { calories, macros, items, mealCalories, mealMacros };
+}
+
+/**
+ * Parse CSV text into candidate meals
+ * With an item column, rows are one item each and are grouped into meals by the group
+ * column, or else by date and meal. Otherwise every row is a meal. Item values are summed
+ * per meal; whole-meal (meal_*) values are taken once and must agree between its rows.
+ * Returns { rowCount, ignoredColumns, meals: [{ rows, date, meal, calories, macros, items, mealCalories, mealMacros, errors }] }
+ */
+function parseMealRows(text, { format, columns, delimiter, maxRows }) {
+  const [header, ...rows] = parseCsvRows(text, { delimiter });
+  if (!header) {
+    throw new Error('The CSV is empty');
+  }
+  if (rows.length > maxRows) {
+    throw new Error(`${rows.length} rows is too many to import at once (max ${maxRows})`);
+  }
+
+  const names = header.map(name => name.trim());
+  const records = rows.map(values => Object.fromEntries(names.map((name, j) => [name, values[j] ?? ''])));
+  const resolved = resolveColumns(names, records, format, columns);
+
+  const meals = new Map();
+  records.forEach((record, i) => {
+    const row = i + 2; // spreadsheet row number, the header being row 1
+    const date = record[resolved.date].trim();
+    const mealName = record[resolved.meal].trim();
+
+    const groupKey = resolved.item
+      ? (resolved.group && record[resolved.group].trim()) || `${date}\u0000${mealName}`
+      : `row ${row}`;
+
+    if (!meals.has(groupKey)) {
+      meals.set(groupKey, {
+        rows: [], date, meal: mealName, calories: null, macros: {}, items: {}, mealCalories: null, mealMacros: null, errors: []
+      });
+    }
+    const meal = meals.get(groupKey);
+    meal.rows.push(row);
+
+    try {
+      const { calories, macros, items, mealCalories, mealMacros } = readRow(record, resolved);
+
+      const wholeMeal = JSON.stringify([mealCalories, mealMacros]);
+      if (meal.mealMacros === null) {
+        meal.mealCalories = mealCalories;
+        meal.mealMacros = mealMacros;
+      } else if (wholeMeal !== JSON.stringify([meal.mealCalories, meal.mealMacros])) {
+        throw new Error(`meal_* values differ from row ${meal.rows[0]} of the same meal`);
+      }
+
+      if (calories !== null) meal.calories = (meal.calories || 0) + calories;
+      for (const [name, value] of Object.entries(macros)) {
+        meal.macros[name] = (meal.macros[name] || 0) + value;
+      }
+      for (const [item, grams] of Object.entries(items)) {
+        meal.items[item] = (meal.items[item] || 0) + grams;
+      }
+    } catch (error) {
+      meal.errors.push({ row, message: error.message });
+    }
+  });
+
+  return { rowCount: rows.length, ignoredColumns: resolved.ignored, meals: [...meals.values()] };
+}
+
+/**
+ * Meal type for a meal name from the file: a meal type ("Lunch"), a name mapped in
+ * mealNames ({ "Meal 4": "extra" }) or one of the format's known names ("Snacks")
+ */
+function resolveMealType(name, mealNames, format) {
+  const mapped = Object.entries(mealNames || {}).find(([from]) => from.trim().toLowerCase() === name.toLowerCase());
+  const type = mapped ? mapped[1] : snakeCase(name);
+
+  if (MEAL_TYPES.includes(type)) return type;
+  if (!mapped && IMPORT_FORMATS[format].mealNames[type]) return IMPORT_FORMATS[format].mealNames[type];
+
+  throw new Error(`meal "${name}" is not one of ${MEAL_TYPES.join(', ')}; map it with meal_names`);
+}
+
+/**
+ * Key identifying a meal for deduplication: same day, meal, calories and items
+ */
+function dedupeKey({ meal_day, meal, calories, meal_items }) {
+  // Sort after lowercasing, so "Rice" and "rice" land in the same position
+  const items = Object.entries(meal_items || {})
+    .map(([item, grams]) => [item.toLowerCase(), Number(grams)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return JSON.stringify([meal_day, meal, Number(calories), items]);
+}
+
+/**
+ * Check a parsed meal against the save_meal rules and fill in what it leaves out
+ * Returns { meal, meal_day, calories, macros, meal_items }, or throws
+ */
+async function toMealInput(parsed, { format, mealNames, customFoods }) {
+  if (parsed.errors.length > 0) {
+    // Name the row when the meal was grouped from several
+    throw new Error(parsed.errors
+      .map(({ row, message }) => (parsed.rows.length > 1 ? `row ${row}: ${message}` : message))
+      .join('; '));
+  }
+  if (!parsed.date) throw new Error('missing date');
+  if (!parsed.meal) throw new Error('missing meal');
+  // Only calendar dates: "today" in a file would depend on when it is imported
+  if (!isDateString(parsed.date)) {
+    throw new Error(`date "${parsed.date}" is not a YYYY-MM-DD calendar date`);
+  }
+
+  const meal = resolveMealType(parsed.meal, mealNames, format);
+  const meal_day = parsed.date;
+  const meal_items = parsed.items;
+
+  // Whole-meal (meal_*) values win over values summed from item rows
+  const parsedMacros = Object.keys(parsed.mealMacros || {}).length > 0 ? parsed.mealMacros : parsed.macros;
+
+  // Same as save_meal: canonical nutrient names, calories inside macros move to calories
+  let calories = parsed.mealCalories ?? parsed.calories ?? undefined;
+  let macros;
+  if (Object.keys(parsedMacros).length > 0) {
+    ({ macros, calories } = prepareMacros(parsedMacros, calories));
+  }
+
+  if (calories === undefined || macros === undefined) {
+    if (Object.keys(meal_items).length > 0) {
+      const nutrition = await computeMealNutrition(meal_items, await customFoods());
+      if (nutrition.unresolved.length > 0) {
+        throw new Error(`could not find ${nutrition.unresolved.map(item => `"${item}"`).join(', ')} in your foods or the food catalog; add calories and nutrient columns or create_custom_food`);
+      }
+      calories = calories ?? nutrition.calories;
+      macros = macros ?? nutrition.macros;
+    } else if (calories === undefined) {
+      throw new Error('no calories and no items to compute them from');
+    }
+  }
+
+  return { meal, meal_day, calories: Math.round(calories), macros: macros ?? {}, meal_items };
+}
+
+/**
+ * Import meals from CSV text for the user
+ * Options: { format, columns, mealNames, delimiter, dryRun, skipDuplicates, maxRows }
+ * Returns the import report (see the import_meals outputSchema)
+ */
+export async function importMeals(supabase, userId, text, {
+  format = 'csv',
+  columns,
+  mealNames,
+  delimiter = ',',
+  dryRun = false,
+  skipDuplicates = true,
+  maxRows = MAX_TOOL_IMPORT_ROWS
+} = {}) {
+  if (!IMPORT_FORMATS[format]) {
+    throw new Error(`Unknown format "${format}". Use one of: ${Object.keys(IMPORT_FORMATS).join(', ')}`);
+  }
+  if (typeof delimiter !== 'string' || delimiter.length !== 1) {
+    throw new Error('delimiter must be a single character');
+  }
+  for (const [name, type] of Object.entries(mealNames || {})) {
+    if (!MEAL_TYPES.includes(type)) {
+      throw new Error(`meal_names maps "${name}" to "${type}", which is not one of ${MEAL_TYPES.join(', ')}`);
+    }
+  }
+
+  const { rowCount, ignoredColumns, meals: parsed } = parseMealRows(text, { format, columns, delimiter, maxRows });
+
+  let customFoods = null;
+  const context = {
+    format,
+    mealNames,
+    customFoods: async () => (customFoods ??= await fetchCustomFoods(supabase))
+  };
+
+  const errors = [];
+  const valid = [];
+  for (const meal of parsed) {
+    try {
+      valid.push({ rows: meal.rows, input: await toMealInput(meal, context) });
+    } catch (error) {
+      // Database failures are not the file's fault
+      if (error.message.startsWith('Database error')) throw error;
+      errors.push({ rows: meal.rows, error: error.message });
+    }
+  }
+
+  // Skip meals already logged, and repeats within the file
+  const duplicates = [];
+  let toImport = valid;
+  if (skipDuplicates && valid.length > 0) {
+    const days = valid.map(({ input }) => input.meal_day).sort();
+    const existing = await fetchMealsInRange(supabase, days[0], days[days.length - 1], 'id, meal_day, meal, calories, meal_items');
+
+    const seen = new Map(existing.map(meal => [dedupeKey(meal), meal.id]));
+    toImport = [];
+    for (const meal of valid) {
+      const key = dedupeKey(meal.input);
+      if (seen.has(key)) {
+        const existingId = seen.get(key);
+        duplicates.push({
+          rows: meal.rows,
+          meal_day: meal.input.meal_day,
+          meal: meal.input.meal,
+          existing_id: typeof existingId === 'string' ? existingId : null
+        });
+      } else {
+        seen.set(key, meal.rows);
+        toImport.push(meal);
+      }
+    }
+  }
+
+  const createdIds = [];
+  if (!dryRun) {
+    for (let i = 0; i < toImport.length; i += IMPORT_BATCH_SIZE) {
+      const batch = toImport.slice(i, i + IMPORT_BATCH_SIZE);
+      try {
+        const created = await insertMeals(supabase, userId, batch.map(({ input }) => input));
+        createdIds.push(...created.map(meal => meal.id));
+      } catch (error) {
+        logger.warn('Import batch failed, retrying its meals one at a time', { user_id: userId, size: batch.length, error: error.message });
+
+        // One bad meal fails the whole insert, so find it and save the rest
+        for (const meal of batch) {
+          try {
+            const [created] = await insertMeals(supabase, userId, [meal.input]);
+            createdIds.push(created.id);
+          } catch (mealError) {
+            errors.push({ rows: meal.rows, error: mealError.message });
+          }
+        }
+      }
+    }
+  }
+
+  errors.sort((a, b) => a.rows[0] - b.rows[0]);
+
+  return {
+    dry_run: dryRun,
+    format,
+    row_count: rowCount,
+    ignored_columns: ignoredColumns,
+    meal_count: parsed.length,
+    valid_count: valid.length,
+    duplicate_count: duplicates.length,
+    error_count: errors.length,
+    imported_count: createdIds.length,
+    created_ids: createdIds,
+    preview: dryRun
+      ? toImport.slice(0, IMPORT_PREVIEW_SIZE).map(({ rows, input }) => ({ rows, ...input }))
+      : [],
+    duplicates,
+    errors
+  };
+}
+
+const ROWS_SCHEMA = {
+  type: 'array',
+  description: 'Spreadsheet row numbers the meal came from (the header is row 1)',
+  items: { type: 'integer' }
+};
+
+export const IMPORT_REPORT_SCHEMA = {
+  type: 'object',
+  properties: {
+    dry_run: { type: 'boolean' },
+    format: { type: 'string' },
+    row_count: { type: 'integer', description: 'Data rows in the file' },
+    ignored_columns: {
+      type: 'array',
+      description: 'Headers that were not imported: text columns, and repeats of a nutrient already read from another column',
+      items: { type: 'string' }
+    },
+    meal_count: { type: 'integer', description: 'Meals the rows make up' },
+    valid_count: { type: 'integer' },
+    duplicate_count: { type: 'integer' },
+    error_count: { type: 'integer' },
+    imported_count: { type: 'integer' },
+    created_ids: { type: 'array', items: { type: 'string' } },
+    preview: {
+      type: 'array',
+      description: 'On a dry run, the first meals that would be imported',
+      items: {
+        type: 'object',
+        properties: {
+          rows: ROWS_SCHEMA,
+          meal: { type: 'string' },
+          meal_day: { type: 'string' },
+          calories: { type: 'number' },
+          macros: NUMBER_MAP_SCHEMA,
+          meal_items: NUMBER_MAP_SCHEMA
+        },
+        required: ['rows', 'meal', 'meal_day', 'calories', 'macros', 'meal_items']
+      }
+    },
+    duplicates: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          rows: ROWS_SCHEMA,
+          meal_day: { type: 'string' },
+          meal: { type: 'string' },
+          existing_id: { type: ['string', 'null'], description: 'The logged meal it repeats, or null if it repeats an earlier meal in the file' }
+        },
+        required: ['rows', 'meal_day', 'meal', 'existing_id']
+      }
+    },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          rows: ROWS_SCHEMA,
+          error: { type: 'string' }
+        },
+        required: ['rows', 'error']
+      }
+    }
+  },
+  required: ['dry_run', 'format', 'row_count', 'ignored_columns', 'meal_count', 'valid_count', 'duplicate_count', 'error_count', 'imported_count', 'created_ids', 'preview', 'duplicates', 'errors']
+};
+
+/**
+ * Human-readable summary of an import report
+ */
+export function formatImportReport(report) {
+  const lines = [
+    report.dry_run
+      ? `🧪 Dry run: ${report.valid_count - report.duplicate_count} of ${report.meal_count} meal(s) from ${report.row_count} row(s) would be imported. Nothing was saved.`
+      : `✅ Imported ${report.imported_count} of ${report.meal_count} meal(s) from ${report.row_count} row(s).`
+  ];
+
+  if (report.ignored_columns.length > 0) {
+    lines.push(`Ignored column(s): ${report.ignored_columns.join(', ')}`);
+  }
+  if (report.duplicate_count > 0) {
+    lines.push(`Skipped ${report.duplicate_count} duplicate(s) of meals already logged or earlier in the file.`);
+  }
+  if (report.error_count > 0) {
+    lines.push('', `${report.error_count} meal(s) could not be imported:`);
+    lines.push(...report.errors.slice(0, 20).map(({ rows, error }) => `- Row ${rows.join(', ')}: ${error}`));
+    if (report.error_count > 20) lines.push(`- ...and ${report.error_count - 20} more (see errors)`);
+  }
+  if (report.preview.length > 0) {
+    lines.push('', `Preview: ${JSON.stringify(report.preview.slice(0, 5), null, 2)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Get import tool definitions
+ */
+export function getImportTools() {
+  return [
+    {
+      name: 'import_meals',
+      description: `🔐 [REQUIRES AUTH] Backfill meal history from a CSV file: an export_meals file (per meal or per item), any spreadsheet (map its columns with columns), or a MyFitnessPal "Nutrition Summary" export. Each meal is checked like save_meal, meals already logged are skipped, and the report lists problems by row number. Use dry_run first to preview. At most ${MAX_TOOL_IMPORT_ROWS} rows; larger files can be uploaded to POST /import. You must authenticate to use this tool.`,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          csv: {
+            type: 'string',
+            description: 'The CSV file contents, with a header row'
+          },
+          format: {
+            type: 'string',
+            enum: Object.keys(IMPORT_FORMATS),
+            default: 'csv',
+            description: '"csv" (default): headers like meal_day/date (YYYY-MM-DD), meal, calories, nutrient columns ("protein_g", "Sodium (mg)"), and meal_items (JSON) or one item per row (item, grams) with optional whole-meal meal_* columns ("meal_calories"). "myfitnesspal": MyFitnessPal Nutrition Summary export'
+          },
+          columns: {
+            type: 'object',
+            description: 'Header names to use instead of the format\'s defaults, e.g. {"date": "Day", "meal": "Meal Name", "calories": "Energy", "nutrients": {"protein": "Prot. (g)"}}. With an item column, rows are grouped into meals by group, or else by date and meal',
+            properties: {
+              date: { type: 'string' },
+              meal: { type: 'string' },
+              calories: { type: 'string' },
+              item: { type: 'string' },
+              grams: { type: 'string' },
+              meal_items: { type: 'string' },
+              group: { type: 'string' },
+              nutrients: {
+                type: 'object',
+                description: 'Nutrient name (as for save_meal macros) to header',
+                additionalProperties: { type: 'string' }
+              }
+            },
+            additionalProperties: false
+          },
+          meal_names: {
+            type: 'object',
+            description: `Meal names in the file that aren't meal types, mapped to one (e.g. {"Meal 4": "extra"}). "Snacks" maps to "extra" by default`,
+            additionalProperties: { type: 'string', enum: MEAL_TYPES }
+          },
+          delimiter: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 1,
+            default: ',',
+            description: 'Field separator, e.g. ";" for some European spreadsheet exports. Default: ","'
+          },
+          dry_run: {
+            type: 'boolean',
+            default: false,
+            description: 'Validate and preview without saving anything. Default: false'
+          },
+          skip_duplicates: {
+            type: 'boolean',
+            default: true,
+            description: 'Skip meals with the same day, meal, calories and items as a meal already logged or earlier in the file. Default: true'
+          }
+        },
+        required: ['csv']
+      },
+      outputSchema: IMPORT_REPORT_SCHEMA,
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          const { csv, format = 'csv', columns, meal_names, delimiter = ',', dry_run = false, skip_duplicates = true } = args;
+
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+
+          logger.info('Importing meals', { user_id: userId, format, dry_run, bytes: csv.length });
+
+          const report = await importMeals(supabase, userId, csv, {
+            format,
+            columns,
+            mealNames: meal_names,
+            delimiter,
+            dryRun: dry_run,
+            skipDuplicates: skip_duplicates
+          });
+
+          logger.info('Meals imported', {
+            user_id: userId,
+            dry_run,
+            imported: report.imported_count,
+            duplicates: report.duplicate_count,
+            errors: report.error_count
+          });
+
+          return {
+            content: [{
+              type: 'text',
+              text: formatImportReport(report)
+            }],
+            structuredContent: report
+          };
+        } catch (error) {
+          logger.error('import_meals error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error importing meals: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    }
+  ];
+}
@@ -2,37 +2,645 @@
  * Meal tracking tools with Supabase integration
  */
 
-import { createClient } from '@supabase/supabase-js';
 import crypto from 'crypto';
-import { config } from '../config/env.js';
 import { logger } from '../utils/logger.js';
+import { createUserSupabaseClient } from '../utils/supabase.js';
+import { emitMealsChanged } from '../utils/events.js';
+import { normalizeMacros, resolveNutrient, nutrientUnit } from '../utils/nutrients.js';
+import { DATE_EXPRESSION_HELP, DATE_EXPRESSION_PATTERN, addDays, eachDay, isoWeekKey, isoWeekStart, monthKey } from '../utils/dates.js';
+import { GOAL_FIELDS, LIMIT_GOAL_FIELDS, fetchGoalHistory, goalForDate } from './goals.js';
+import { createDateResolver } from './settings.js';
+import { computeMealNutrition, fetchCustomFoods } from './foods.js';
+import { fetchRecipe, expandRecipe } from './recipes.js';
+import {
+  MEAL_RECORD_SCHEMA,
+  AGGREGATE_ROW_SCHEMA,
+  PROGRESS_REPORT_SCHEMA,
+  FOOD_MATCH_SCHEMA,
+  RENAMED_NUTRIENTS_SCHEMA
+} from './schemas.js';
+
+export const MEAL_TYPES = ['breakfast', 'morning_snack', 'lunch', 'afternoon_snack', 'dinner', 'extra'];
+
+// Rows requested per page when a query has to read every meal in a date range
+const MEAL_PAGE_SIZE = 1000;
+
+// Meal listings (recent, by_date, date_range, by_meal_type) return at most this many meals per call
+const MAX_LIST_PAGE_SIZE = 100;
+
+const LIST_SORT_FIELDS = ['meal_day', 'created_at', 'calories'];
+
+// Fields of fact_meal_macros that update_meal is allowed to patch
+const UPDATABLE_FIELDS = ['meal', 'meal_day', 'calories', 'macros', 'meal_items'];
+
+/**
+ * Period key for weekly ("2025-W05", ISO week-year) or monthly ("2025-01") aggregation
+ */
+function periodKeyFor(mealDay, granularity) {
+  return granularity === 'week' ? isoWeekKey(mealDay) : monthKey(mealDay);
+}
+
+/**
+ * Resolve date/end_date of a range query
+ * A period such as "last_week" in date covers the whole period unless end_date is given;
+ * otherwise the range ends today and starts 30 days before its end.
+ */
+async function resolveQueryRange(dates, date, endDate) {
+  const from = date ? await dates.range(date) : null;
+
+  let end;
+  if (endDate) {
+    end = (await dates.range(endDate)).end;
+  } else if (from && from.start !== from.end) {
+    end = from.end;
+  } else {
+    end = await dates.today();
+  }
+
+  const start = from ? from.start : addDays(end, -30);
+  if (start > end) {
+    throw new Error(`date must be on or before end_date (resolved to ${start} and ${end})`);
+  }
+
+  return { start, end };
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Stable public shape of a fact_meal_macros row
+ */
+export function toMealRecord(row) {
+  const { id, created_at, meal, meal_day, calories, macros, meal_items } = row;
+  return { id, created_at, meal, meal_day, calories, macros: macros || {}, meal_items: meal_items || {} };
+}
+
+/**
+ * Canonical nutrient amounts from a calories value and a macros map, including calories
+ * Stored macros are canonicalized on read too, so meals logged under aliases
+ * ("carbohydrates", "prot") still add up with everything else
+ */
+export function canonicalNutrients(calories, macros) {
+  const nutrients = { calories: Number(calories) || 0 };
+
+  for (const [name, value] of Object.entries(macros || {})) {
+    if (typeof value !== 'number') continue;
+
+    const { key, factor } = resolveNutrient(name);
+    // The calories column is authoritative
+    if (key === 'calories') continue;
+
+    nutrients[key] = (nutrients[key] || 0) + value * factor;
+  }
+  return nutrients;
+}
+
+/**
+ * Apply the nutrient registry to caller-supplied macros
+ * A calories value inside macros moves to the calories column unless calories was given as well
+ */
+export function prepareMacros(macros, calories) {
+  const { macros: normalized, renamed } = normalizeMacros(macros);
+
+  if (normalized.calories !== undefined) {
+    calories = calories ?? Math.round(normalized.calories);
+    delete normalized.calories;
+  }
+
+  return { macros: normalized, calories, renamed };
+}
+
+/**
+ * Units of every nutrient key in a list of totals maps (null when not in the registry)
+ */
+function unitsFor(nutrientMaps) {
+  const units = {};
+  for (const nutrients of nutrientMaps) {
+    for (const key of Object.keys(nutrients)) {
+      units[key] = nutrientUnit(key);
+    }
+  }
+  return units;
+}
+
+/**
+ * Fetch every meal between two dates, page by page
+ * PostgREST caps the rows of a single response, so one request could silently truncate.
+ * A null startDate or endDate leaves that end of the range open.
+ */
+export async function fetchMealsInRange(supabase, startDate, endDate, columns = 'meal_day, calories, macros') {
+  const meals = [];
+
+  for (;;) {
+    let query = supabase.from('fact_meal_macros').select(columns);
+    if (startDate) query = query.gte('meal_day', startDate);
+    if (endDate) query = query.lte('meal_day', endDate);
+
+    const { data, error } = await query
+      .order('meal_day', { ascending: false })
+      .order('id', { ascending: true })
+      .range(meals.length, meals.length + MEAL_PAGE_SIZE - 1);
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+    if (!data?.length) break;
+
+    meals.push(...data);
+  }
+
+  return meals;
+}
+
+/**
+ * Cursors are opaque to clients: the offset of the next page plus the query it belongs to,
+ * so a cursor can't silently be reused with different filters or sorting
+ */
+function encodeCursor(offset, listing) {
+  return Buffer.from(JSON.stringify({ offset, listing })).toString('base64url');
+}
+
+function decodeCursor(cursor, listing) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    decoded = null;
+  }
+
+  if (!Number.isInteger(decoded?.offset) || decoded.offset < 0) {
+    throw new Error('Invalid cursor. Pass next_cursor from a previous response unchanged');
+  }
+  if (JSON.stringify(decoded.listing) !== JSON.stringify(listing)) {
+    throw new Error('This cursor belongs to a different query. Repeat the query with the same filters and sorting, or omit cursor to start over');
+  }
+
+  return decoded.offset;
+}
+
+/**
+ * Fetch one page of a meal listing with the total number of matching meals
+ * listing is { query_type, sort_by, sort_order, ...filters }; applyFilters adds the filters to the query.
+ * Ties are broken by created_at and id so pages never overlap or skip meals.
+ */
+async function fetchMealPage(supabase, { listing, applyFilters, limit, cursor }) {
+  const offset = cursor ? decodeCursor(cursor, listing) : 0;
+  const ascending = listing.sort_order === 'asc';
+
+  let query = applyFilters(supabase.from('fact_meal_macros').select('*', { count: 'exact' }))
+    .order(listing.sort_by, { ascending });
+  if (listing.sort_by !== 'created_at') {
+    query = query.order('created_at', { ascending });
+  }
+
+  const { data, error, count } = await query
+    .order('id', { ascending })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+
+  const meals = (data || []).map(toMealRecord);
+  const total = count ?? offset + meals.length;
+  const nextOffset = offset + meals.length;
+
+  return {
+    meals,
+    offset,
+    total,
+    nextCursor: meals.length > 0 && nextOffset < total ? encodeCursor(nextOffset, listing) : null
+  };
+}
+
+/**
+ * Sum calories and raw macro keys per day ("2025-01-27"), ISO week or month
+ * JS equivalent of the meal_totals SQL function, used when it isn't installed
+ */
+function sumTotalsInNode(meals, granularity) {
+  const totals = {};
+
+  meals.forEach(meal => {
+    const periodKey = granularity === 'day' ? meal.meal_day : periodKeyFor(meal.meal_day, granularity);
+
+    if (!totals[periodKey]) {
+      totals[periodKey] = { period: periodKey, meal_count: 0, days: new Set(), total_calories: 0, nutrients: {} };
+    }
+    const period = totals[periodKey];
+    period.meal_count += 1;
+    period.days.add(meal.meal_day);
+    period.total_calories += meal.calories || 0;
+
+    for (const [name, value] of Object.entries(meal.macros || {})) {
+      if (typeof value === 'number') {
+        period.nutrients[name] = (period.nutrients[name] || 0) + value;
+      }
+    }
+  });
+
+  return Object.values(totals)
+    .map(({ days, ...period }) => ({ ...period, days_count: days.size }))
+    .sort((a, b) => (a.period < b.period ? 1 : -1));
+}
+
+/**
+ * Shape a raw totals row (from SQL or Node) into the public aggregate row
+ */
+function toTotalsRow(raw) {
+  const nutrients = canonicalNutrients(raw.total_calories, raw.nutrients);
+  const rounded = Object.fromEntries(
+    Object.entries(nutrients).map(([key, value]) => [key, round1(value)])
+  );
+  const daysCount = Number(raw.days_count);
+
+  return {
+    period: raw.period,
+    total_calories: Math.round(nutrients.calories),
+    total_protein: rounded.protein || 0,
+    total_carbs: rounded.carbs || 0,
+    total_fat: rounded.fat || 0,
+    meal_count: Number(raw.meal_count),
+    days_count: daysCount,
+    avg_calories_per_day: Math.round(nutrients.calories / daysCount),
+    totals: rounded
+  };
+}
+
+let warnedMissingTotalsFunction = false;
+
+/**
+ * Totals per day, ISO week or month between two dates, newest first
+ * Aggregates in Postgres with the meal_totals function (supabase/migrations),
+ * falling back to fetching the rows and summing them in Node when it isn't installed
+ */
+async function fetchPeriodTotals(supabase, { startDate, endDate, granularity }) {
+  // RLS applies inside the function (SECURITY INVOKER), so only the user's meals are summed
+  const { data, error } = await supabase.rpc('meal_totals', {
+    start_date: startDate,
+    end_date: endDate,
+    granularity
+  });
+
+  if (!error) {
+    return data.map(toTotalsRow);
+  }
+
+  // PGRST202: function not found in the schema cache
+  if (error.code !== 'PGRST202') {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  if (!warnedMissingTotalsFunction) {
+    logger.warn('meal_totals function not found, aggregating totals in Node. Apply supabase/migrations to aggregate in Postgres');
+    warnedMissingTotalsFunction = true;
+  }
+
+  const meals = await fetchMealsInRange(supabase, startDate, endDate);
+  return sumTotalsInNode(meals, granularity).map(toTotalsRow);
+}
+
+let warnedMissingSearchFunction = false;
+
+/**
+ * Meals with a meal_items name containing search (case-insensitive), newest first
+ * Uses the search_meals SQL function (supabase/migrations); if it isn't installed,
+ * reads the meals in range and matches in Node instead.
+ */
+async function searchMeals(supabase, { search, startDate, endDate, mealType }) {
+  const meals = [];
+
+  for (;;) {
+    const { data, error } = await supabase
+      .rpc('search_meals', {
+        search,
+        start_date: startDate,
+        end_date: endDate,
+        meal_type: mealType
+      })
+      .range(meals.length, meals.length + MEAL_PAGE_SIZE - 1);
+
+    if (error) {
+      // PGRST202: function not found in the schema cache
+      if (error.code !== 'PGRST202') {
+        throw new Error(`Database error: ${error.message}`);
+      }
+      break;
+    }
+    if (!data?.length) {
+      return meals;
+    }
+
+    meals.push(...data);
+  }
+
+  if (!warnedMissingSearchFunction) {
+    logger.warn('search_meals function not found, searching meal items in Node. Apply supabase/migrations to search in Postgres');
+    warnedMissingSearchFunction = true;
+  }
+
+  const needle = search.toLowerCase();
+  return (await fetchMealsInRange(supabase, startDate, endDate, '*'))
+    .filter(meal => !mealType || meal.meal === mealType)
+    .filter(meal => Object.keys(meal.meal_items || {}).some(item => item.toLowerCase().includes(needle)))
+    .sort((a, b) => b.meal_day.localeCompare(a.meal_day) || String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+/**
+ * Per-item frequency and total grams of the items matching search, most frequent first
+ * Names differing only in case are counted as one item, under the most recently logged spelling.
+ */
+function summarizeMatchedItems(meals, search) {
+  const needle = search.toLowerCase();
+  const items = new Map();
+
+  // Meals are newest first, so the first spelling seen is the latest one
+  for (const meal of meals) {
+    for (const [name, grams] of Object.entries(meal.meal_items || {})) {
+      const key = name.toLowerCase();
+      if (!key.includes(needle)) continue;
+
+      if (!items.has(key)) {
+        items.set(key, { item: name, meal_count: 0, total_grams: 0, first_eaten: meal.meal_day, last_eaten: meal.meal_day });
+      }
+      const summary = items.get(key);
+      summary.meal_count += 1;
+      summary.total_grams = round1(summary.total_grams + (Number(grams) || 0));
+      summary.first_eaten = meal.meal_day < summary.first_eaten ? meal.meal_day : summary.first_eaten;
+      summary.last_eaten = meal.meal_day > summary.last_eaten ? meal.meal_day : summary.last_eaten;
+    }
+  }
+
+  return [...items.values()].sort((a, b) => b.meal_count - a.meal_count || b.total_grams - a.total_grams);
+}
+
+/**
+ * Scale a meal's calories, macros and item grams by a portion factor
+ */
+function scaleMeal(meal, factor) {
+  const scaleValues = values => Object.fromEntries(
+    Object.entries(values || {}).map(([key, value]) => [key, round1(value * factor)])
+  );
+
+  return {
+    calories: Math.round(meal.calories * factor),
+    macros: scaleValues(meal.macros),
+    meal_items: scaleValues(meal.meal_items)
+  };
+}
+
+/**
+ * Insert meals for the user in one request, returning the created records
+ * Each meal is { id, meal, meal_day, calories, macros, meal_items }; id is optional and
+ * defaults to a new UUID
+ */
+export async function insertMeals(supabase, userId, meals) {
+  const created_at = new Date().toISOString();
+
+  // Insert meals - RLS ensures user can only insert to their own records
+  const { data, error } = await supabase
+    .from('fact_meal_macros')
+    .insert(meals.map(({ id = crypto.randomUUID(), meal, meal_day, calories, macros, meal_items }) => ({
+      id,
+      created_at,
+      user_id: userId,
+      meal,
+      meal_day,
+      calories,
+      macros,
+      meal_items
+    })))
+    .select();
+
+  if (error) {
+    logger.error('Supabase insert error', { error: error.message, user_id: userId });
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  emitMealsChanged(supabase, userId, data.map(row => row.meal_day));
+
+  return data;
+}
+
+/**
+ * Compare an actual amount with a target
+ * Limits (sugar, sodium) are hit when at or below target + tolerance,
+ * everything else when within +/- tolerance of the target
+ */
+function compareToTarget(field, actual, target, tolerancePct) {
+  const band = target * tolerancePct / 100;
+  const hit = LIMIT_GOAL_FIELDS.includes(field)
+    ? actual <= target + band
+    : actual >= target - band && actual <= target + band;
+
+  return {
+    actual: round1(actual),
+    target,
+    remaining: round1(target - actual),
+    percent: target > 0 ? round1(actual / target * 100) : null,
+    hit
+  };
+}
 
 /**
- * Create user-scoped Supabase client
+ * Build a progress-vs-goal report for every day between startDate and endDate
+ * targets overrides stored goals for every day; otherwise each day uses the goal active then
  */
-function createUserSupabaseClient(accessToken) {
-  return createClient(config.supabase.url, config.supabase.anonKey, {
-    global: {
-      headers: {
-        Authorization: `Bearer ${accessToken}`
+function buildProgressReport(meals, { startDate, endDate, goalHistory, targets, tolerancePct, groupBy }) {
+  // Sum calories and every goal nutrient per day
+  const actualsByDay = {};
+  meals.forEach(meal => {
+    if (!actualsByDay[meal.meal_day]) {
+      actualsByDay[meal.meal_day] = { meal_count: 0 };
+    }
+    const day = actualsByDay[meal.meal_day];
+    day.meal_count += 1;
+    const nutrients = canonicalNutrients(meal.calories, meal.macros);
+    for (const field of GOAL_FIELDS) {
+      day[field] = (day[field] || 0) + (nutrients[field] || 0);
+    }
+  });
+
+  const days = eachDay(startDate, endDate).map(date => {
+    const actuals = actualsByDay[date] || { meal_count: 0 };
+    const goal = targets || goalForDate(goalHistory, date);
+    const nutrients = {};
+
+    if (goal) {
+      for (const field of GOAL_FIELDS) {
+        if (goal[field] !== null && goal[field] !== undefined) {
+          nutrients[field] = compareToTarget(field, actuals[field] || 0, Number(goal[field]), tolerancePct);
+          // A day with nothing logged never counts as on target
+          if (!actuals.meal_count) nutrients[field].hit = false;
+        }
+      }
+    }
+
+    return {
+      date,
+      meal_count: actuals.meal_count,
+      goal_effective_date: targets ? null : goal?.effective_date || null,
+      nutrients
+    };
+  });
+
+  // Per-nutrient adherence summary with streaks (a day without a target breaks a streak)
+  const summary = {};
+  for (const field of GOAL_FIELDS) {
+    const judged = days.filter(day => day.nutrients[field]);
+    if (judged.length === 0) continue;
+
+    let currentStreak = 0;
+    let longestStreak = 0;
+    for (const day of days) {
+      if (day.nutrients[field]?.hit) {
+        currentStreak += 1;
+        longestStreak = Math.max(longestStreak, currentStreak);
+      } else {
+        currentStreak = 0;
+      }
+    }
+
+    const daysHit = judged.filter(day => day.nutrients[field].hit).length;
+    summary[field] = {
+      days_with_target: judged.length,
+      days_within_tolerance: daysHit,
+      hit_rate_percent: round1(daysHit / judged.length * 100),
+      current_streak: currentStreak,
+      longest_streak: longestStreak,
+      avg_actual: round1(judged.reduce((sum, day) => sum + day.nutrients[field].actual, 0) / judged.length),
+      avg_target: round1(judged.reduce((sum, day) => sum + day.nutrients[field].target, 0) / judged.length)
+    };
+  }
+
+  const report = {
+    start_date: startDate,
+    end_date: endDate,
+    tolerance_pct: tolerancePct,
+    target_source: targets ? 'arguments' : 'stored_goals',
+    days_in_range: days.length,
+    days_tracked: days.filter(day => day.meal_count > 0).length,
+    summary
+  };
+
+  if (groupBy === 'day') {
+    report.days = days;
+    return report;
+  }
+
+  // Roll days up into weeks or months: sums of actuals and targets, plus days hit
+  const periods = {};
+  days.forEach(day => {
+    const key = periodKeyFor(day.date, groupBy);
+    if (!periods[key]) {
+      periods[key] = { period: key, days: 0, days_tracked: 0, nutrients: {} };
+    }
+    const period = periods[key];
+    period.days += 1;
+    if (day.meal_count > 0) period.days_tracked += 1;
+
+    for (const [field, result] of Object.entries(day.nutrients)) {
+      if (!period.nutrients[field]) {
+        period.nutrients[field] = { actual: 0, target: 0, days_within_tolerance: 0 };
       }
+      const totals = period.nutrients[field];
+      totals.actual += result.actual;
+      totals.target += result.target;
+      if (result.hit) totals.days_within_tolerance += 1;
     }
   });
+
+  report.periods = Object.values(periods).map(period => {
+    for (const totals of Object.values(period.nutrients)) {
+      totals.actual = round1(totals.actual);
+      totals.target = round1(totals.target);
+      totals.remaining = round1(totals.target - totals.actual);
+      totals.percent = totals.target > 0 ? round1(totals.actual / totals.target * 100) : null;
+    }
+    return period;
+  });
+
+  return report;
+}
+
+/**
+ * The user's most recently logged meals, newest first
+ */
+export async function fetchRecentMeals(supabase, limit = 10) {
+  const { data, error } = await supabase
+    .from('fact_meal_macros')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+
+  return (data || []).map(toMealRecord);
+}
+
+/**
+ * Everything logged on one day: meals (oldest first), nutrient totals and progress
+ * against the goal active that day
+ */
+export async function fetchDaySummary(supabase, day) {
+  const [meals, goalHistory] = await Promise.all([
+    fetchMealsInRange(supabase, day, day, '*'),
+    fetchGoalHistory(supabase, day)
+  ]);
+
+  meals.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+
+  const totals = {};
+  for (const meal of meals) {
+    for (const [key, value] of Object.entries(canonicalNutrients(meal.calories, meal.macros))) {
+      totals[key] = (totals[key] || 0) + value;
+    }
+  }
+  for (const key of Object.keys(totals)) {
+    totals[key] = round1(totals[key]);
+  }
+
+  const goal = goalForDate(goalHistory, day);
+  const progress = {};
+  if (goal) {
+    for (const field of GOAL_FIELDS) {
+      if (goal[field] !== null && goal[field] !== undefined) {
+        progress[field] = compareToTarget(field, totals[field] || 0, Number(goal[field]), 10);
+      }
+    }
+  }
+
+  return {
+    date: day,
+    meal_count: meals.length,
+    totals,
+    units: unitsFor([totals]),
+    goal,
+    progress: goal ? progress : null,
+    meals: meals.map(toMealRecord)
+  };
 }
 
 /**
- * Helper to get ISO week number
+ * Totals of one ISO week ("2025-W05"), overall and per day
  */
-function getISOWeek(date) {
-  const target = new Date(date.valueOf());
-  const dayNum = (date.getDay() + 6) % 7;
-  target.setDate(target.getDate() - dayNum + 3);
-  const firstThursday = target.valueOf();
-  target.setMonth(0, 1);
-  if (target.getDay() !== 4) {
-    target.setMonth(0, 1 + ((4 - target.getDay()) + 7) % 7);
+export async function fetchWeekSummary(supabase, weekKey) {
+  const startDate = isoWeekStart(weekKey);
+  if (!startDate) {
+    throw new Error(`Invalid ISO week "${weekKey}". Use YYYY-Www, e.g. "2025-W05"`);
   }
-  return 1 + Math.ceil((firstThursday - target) / 604800000);
+
+  const endDate = addDays(startDate, 6);
+  const [[total = null], days] = await Promise.all([
+    fetchPeriodTotals(supabase, { startDate, endDate, granularity: 'week' }),
+    fetchPeriodTotals(supabase, { startDate, endDate, granularity: 'day' })
+  ]);
+
+  return {
+    week: weekKey,
+    start_date: startDate,
+    end_date: endDate,
+    total,
+    days: days.sort((a, b) => a.period.localeCompare(b.period)),
+    units: unitsFor(days.map(row => row.totals))
+  };
 }
 
 /**
@@ -42,76 +650,131 @@ export function getMealTools() {
   return [
     {
       name: 'save_meal',
-      description: '🔐 [REQUIRES AUTH] Save meal macros to your personal meal tracking database. Records a meal with its nutritional information and items. You must authenticate to use this tool.',
+      description: '🔐 [REQUIRES AUTH] Save meal macros to your personal meal tracking database. Records a meal with its nutritional information and items. Log a portion of a saved recipe with recipe + portion. If calories or macros are omitted they are computed from meal_items grams using your personal foods and the food catalog (see lookup_food). You must authenticate to use this tool.',
       inputSchema: {
         type: 'object',
         properties: {
           meal: {
             type: 'string',
-            enum: ['breakfast', 'morning_snack', 'lunch', 'afternoon_snack', 'dinner', 'extra'],
+            enum: MEAL_TYPES,
             description: 'The type of meal being recorded'
           },
           meal_day: {
             type: 'string',
-            pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-            description: 'The date of the meal in YYYY-MM-DD format (e.g., "2025-01-27")'
+            pattern: DATE_EXPRESSION_PATTERN,
+            description: `The date of the meal: ${DATE_EXPRESSION_HELP} (a single day, e.g. "2025-01-27" or "yesterday")`
           },
           calories: {
             type: 'integer',
-            description: 'Total calories of the meal (integer)'
+            description: 'Total calories of the meal (integer). Default: computed from meal_items via your foods and the food catalog'
           },
           macros: {
             type: 'object',
-            description: 'Macronutrients as key-value pairs (e.g., {"protein": 25.5, "carbs": 30.2, "fat": 10.5})',
+            description: 'Nutrients as key-value pairs (e.g., {"protein": 25.5, "carbs": 30.2, "fat": 10.5, "fiber": 4}). Grams, except sodium/potassium/cholesterol in mg; common aliases ("carbohydrates", "prot") and unit suffixes ("sodium_g") are converted. Default: computed from meal_items via your foods and the food catalog',
             additionalProperties: { type: 'number' }
           },
           meal_items: {
             type: 'object',
-            description: 'Meal items with quantities in grams (e.g., {"chicken breast": 150, "rice": 100})',
+            description: 'Meal items with quantities in grams (e.g., {"chicken breast": 150, "rice": 100}). Required unless recipe is given; with a recipe, these are logged in addition to it',
             additionalProperties: { type: 'number' }
+          },
+          recipe: {
+            type: 'string',
+            description: 'ID or name of a saved recipe (see create_recipe). Its ingredients are scaled to the portion and added to meal_items'
+          },
+          portion: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            description: 'Number of recipe servings eaten (e.g., 1.5). Default: 1'
+          },
+          portion_grams: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            description: 'Cooked weight of the recipe portion in grams, instead of portion (needs a recipe with yield_grams). Cannot be combined with portion'
           }
         },
-        required: ['meal', 'meal_day', 'calories', 'macros', 'meal_items']
+        required: ['meal', 'meal_day']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          meal: MEAL_RECORD_SCHEMA,
+          recipe: {
+            type: ['object', 'null'],
+            properties: {
+              recipe_id: { type: 'string' },
+              name: { type: 'string' },
+              servings: { type: 'number' }
+            }
+          },
+          food_matches: {
+            type: ['array', 'null'],
+            description: 'Foods used to compute calories/macros, or null when both were given',
+            items: FOOD_MATCH_SCHEMA
+          },
+          renamed_nutrients: RENAMED_NUTRIENTS_SCHEMA
+        },
+        required: ['meal', 'recipe', 'food_matches']
       },
       requiresAuth: true,
       handler: async (args, authInfo) => {
         try {
-          const { meal, meal_day, calories, macros, meal_items } = args;
+          const { meal, recipe, portion, portion_grams } = args;
+          let { calories, macros, meal_items } = args;
 
           if (!authInfo?.token) {
             throw new Error('Authentication required');
           }
 
+          if (!meal_items && !recipe) {
+            throw new Error('Either meal_items or recipe is required');
+          }
+
+          // Canonical nutrient names and units (carbohydrates -> carbs, sodium_g -> sodium in mg)
+          let renamedNutrients = [];
+          if (macros !== undefined) {
+            ({ macros, calories, renamed: renamedNutrients } = prepareMacros(macros, calories));
+          }
+
           const userId = authInfo.userId;
           const supabase = createUserSupabaseClient(authInfo.token);
+          const meal_day = await createDateResolver(supabase).day(args.meal_day, 'meal_day');
 
-          logger.info('Saving meal', { user_id: userId, meal, meal_day });
+          logger.info('Saving meal', { user_id: userId, meal, meal_day, recipe });
 
-          // Generate UUID for meal
-          const id = crypto.randomUUID();
-          const created_at = new Date().toISOString();
+          // Expand the recipe portion into ingredient grams
+          let recipePortion = null;
+          if (recipe) {
+            const savedRecipe = await fetchRecipe(supabase, recipe);
+            const { mealItems, factor } = expandRecipe(savedRecipe, { portion, portionGrams: portion_grams });
 
-          // Insert meal - RLS ensures user can only insert to their own records
-          const { data, error } = await supabase
-            .from('fact_meal_macros')
-            .insert({
-              id,
-              created_at,
-              user_id: userId,
-              meal,
-              meal_day,
-              calories,
-              macros,
-              meal_items
-            })
-            .select()
-            .single();
+            meal_items = { ...meal_items };
+            for (const [item, grams] of Object.entries(mealItems)) {
+              meal_items[item] = (meal_items[item] || 0) + grams;
+            }
+            recipePortion = {
+              recipe_id: savedRecipe.id,
+              name: savedRecipe.name,
+              servings: Math.round(factor * savedRecipe.servings * 100) / 100
+            };
+          }
 
-          if (error) {
-            logger.error('Supabase insert error', { error: error.message, user_id: userId });
-            throw new Error(`Database error: ${error.message}`);
+          // Fill in whatever the caller left out from personal foods and the food catalog
+          let nutrition = null;
+          if (calories === undefined || macros === undefined) {
+            nutrition = await computeMealNutrition(meal_items, await fetchCustomFoods(supabase));
+
+            if (nutrition.unresolved.length > 0) {
+              throw new Error(`Could not find ${nutrition.unresolved.map(item => `"${item}"`).join(', ')} in your foods or the food catalog. Use lookup_food to find the right food name, create_custom_food to add it, or pass calories and macros explicitly.`);
+            }
+
+            calories = calories ?? nutrition.calories;
+            macros = macros ?? nutrition.macros;
           }
 
+          const [saved] = await insertMeals(supabase, userId, [{ meal, meal_day, calories, macros, meal_items }]);
+          const { id, created_at } = saved;
+
           logger.info('Meal saved successfully', { meal_id: id, user_id: userId });
 
           return {
@@ -121,13 +784,25 @@ export function getMealTools() {
 
 Meal ID: ${id}
 Meal Type: ${meal}
-Meal Day: ${meal_day}
+Meal Day: ${meal_day}${meal_day !== args.meal_day ? ` (${args.meal_day})` : ''}
 Calories: ${calories}
 Created: ${created_at}
 
 Macros: ${JSON.stringify(macros, null, 2)}
-Items: ${JSON.stringify(meal_items, null, 2)}`
-            }]
+Items: ${JSON.stringify(meal_items, null, 2)}${renamedNutrients.length > 0 ? `
+
+Renamed nutrients: ${renamedNutrients.map(({ from, to }) => `${from} → ${to}`).join(', ')}` : ''}${recipePortion ? `
+
+Recipe: ${recipePortion.name} (${recipePortion.servings} servings)` : ''}${nutrition ? `
+
+Computed from foods: ${JSON.stringify(nutrition.matches, null, 2)}` : ''}`
+            }],
+            structuredContent: {
+              meal: toMealRecord(saved),
+              recipe: recipePortion,
+              food_matches: nutrition?.matches ?? null,
+              renamed_nutrients: renamedNutrients
+            }
           };
         } catch (error) {
           logger.error('save_meal error', { error: error.message, stack: error.stack });
@@ -150,36 +825,104 @@ Items: ${JSON.stringify(meal_items, null, 2)}`
         properties: {
           query_type: {
             type: 'string',
-            enum: ['recent', 'by_date', 'date_range', 'by_meal_type', 'daily_totals', 'weekly_totals', 'monthly_totals'],
-            description: 'Type of query: "recent" (last N meals), "by_date" (specific day), "date_range" (between dates), "by_meal_type" (filter by meal), "daily_totals" (aggregate by day), "weekly_totals" (aggregate by week), "monthly_totals" (aggregate by month)'
+            enum: ['recent', 'by_date', 'date_range', 'by_meal_type', 'daily_totals', 'weekly_totals', 'monthly_totals', 'progress'],
+            description: 'Type of query: "recent" (last N meals), "by_date" (specific day), "date_range" (between dates), "by_meal_type" (filter by meal), "daily_totals" (aggregate by day), "weekly_totals" (aggregate by week), "monthly_totals" (aggregate by month), "progress" (actual vs goal per day or period, with adherence streaks)'
           },
           limit: {
             type: 'integer',
-            default: 10,
-            description: 'Number of records to return (for "recent" queries). Default: 10'
+            minimum: 1,
+            maximum: MAX_LIST_PAGE_SIZE,
+            description: `Meals per page for "recent", "by_date", "date_range" and "by_meal_type" (max ${MAX_LIST_PAGE_SIZE}). Default: 10 for "recent" and "by_meal_type", 50 otherwise`
+          },
+          cursor: {
+            type: 'string',
+            description: 'next_cursor from a previous response, to get the next page of the same query'
+          },
+          sort_by: {
+            type: 'string',
+            enum: LIST_SORT_FIELDS,
+            description: 'Sort meal listings by meal_day, created_at or calories. Default: created_at for "recent" and "by_meal_type", meal_day otherwise'
+          },
+          sort_order: {
+            type: 'string',
+            enum: ['asc', 'desc'],
+            default: 'desc',
+            description: 'Sort direction for meal listings. Default: desc'
           },
           date: {
             type: 'string',
-            pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-            description: 'Date in YYYY-MM-DD format (for "by_date" and as start for "date_range")'
+            pattern: DATE_EXPRESSION_PATTERN,
+            description: `Day for "by_date" (default: today), or start of the range for "date_range", totals and "progress" (default: 30 days before end_date): ${DATE_EXPRESSION_HELP}. A period such as "last_week" covers the whole period`
           },
           end_date: {
             type: 'string',
-            pattern: '^\\d{4}-\\d{2}-\\d{2}$',
-            description: 'End date in YYYY-MM-DD format (for "date_range" queries)'
+            pattern: DATE_EXPRESSION_PATTERN,
+            description: `End of the range for "date_range", totals and "progress" (default: end of the period in date, or today): ${DATE_EXPRESSION_HELP}`
           },
           meal_type: {
             type: 'string',
-            enum: ['breakfast', 'morning_snack', 'lunch', 'afternoon_snack', 'dinner', 'extra'],
+            enum: MEAL_TYPES,
             description: 'Filter by meal type (for "by_meal_type" queries)'
+          },
+          targets: {
+            type: 'object',
+            description: 'Daily targets for "progress" queries (e.g., {"calories": 2200, "protein": 160}). Default: your stored goals (see set_goals)',
+            properties: Object.fromEntries(GOAL_FIELDS.map(field => [field, { type: 'number', minimum: 0 }])),
+            additionalProperties: false
+          },
+          tolerance_pct: {
+            type: 'number',
+            minimum: 0,
+            default: 10,
+            description: 'For "progress" queries: a day counts as on target when within this percentage of the target (limits like sugar/sodium: at most target + tolerance). Default: 10'
+          },
+          group_by: {
+            type: 'string',
+            enum: ['day', 'week', 'month'],
+            default: 'day',
+            description: 'For "progress" queries: report per day, or roll up into weeks or months. Default: day'
           }
         },
         required: ['query_type']
       },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          query_type: { type: 'string' },
+          start_date: { type: 'string', description: 'First day queried (YYYY-MM-DD), with relative dates resolved' },
+          end_date: { type: 'string', description: 'Last day queried (YYYY-MM-DD), with relative dates resolved' },
+          count: { type: 'integer' },
+          total_count: { type: 'integer', description: 'Meals matching the query across all pages' },
+          next_cursor: { type: ['string', 'null'], description: 'Pass as cursor to get the next page; null on the last page' },
+          sort_by: { type: 'string', enum: LIST_SORT_FIELDS },
+          sort_order: { type: 'string', enum: ['asc', 'desc'] },
+          meals: { type: 'array', items: MEAL_RECORD_SCHEMA },
+          totals: { type: 'array', items: AGGREGATE_ROW_SCHEMA },
+          units: {
+            type: 'object',
+            description: 'Unit of each nutrient in totals (null for nutrients outside the registry)',
+            additionalProperties: { type: ['string', 'null'] }
+          },
+          progress: PROGRESS_REPORT_SCHEMA
+        },
+        required: ['query_type']
+      },
       requiresAuth: true,
       handler: async (args, authInfo) => {
         try {
-          const { query_type, limit = 10, date, end_date, meal_type } = args;
+          const {
+            query_type,
+            limit,
+            cursor,
+            sort_by,
+            sort_order = 'desc',
+            date,
+            end_date,
+            meal_type,
+            targets,
+            tolerance_pct = 10,
+            group_by = 'day'
+          } = args;
 
           if (!authInfo?.token) {
             throw new Error('Authentication required');
@@ -190,138 +933,145 @@ Items: ${JSON.stringify(meal_items, null, 2)}`
 
           logger.info('Querying meal data', { user_id: userId, query_type });
 
-          let query = supabase.from('fact_meal_macros').select('*');
-          let resultText = '';
+          const dates = createDateResolver(supabase);
 
-          // Build query based on type - RLS automatically filters by user_id
-          switch (query_type) {
-            case 'recent': {
-              query = query.order('created_at', { ascending: false }).limit(limit);
-              const { data, error } = await query;
-              if (error) throw new Error(`Database error: ${error.message}`);
+          let resultText = '';
+          let structured = null;
 
-              resultText = data?.length > 0
-                ? `Recent Meals (${data.length} meals):\n\n${JSON.stringify(data, null, 2)}`
-                : 'No meals found.';
-              break;
+          // One page of a meal listing, with the filters and sorting recorded in its cursor
+          const listMeals = async ({ filters, applyFilters, defaultSort, defaultLimit, title, empty }) => {
+            if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1)) {
+              throw new Error('limit must be a positive integer');
+            }
+
+            const listing = { query_type, sort_by: sort_by || defaultSort, sort_order, ...filters };
+            const page = await fetchMealPage(supabase, {
+              listing,
+              applyFilters,
+              limit: Math.min(limit ?? defaultLimit, MAX_LIST_PAGE_SIZE),
+              cursor
+            });
+
+            structured = {
+              query_type,
+              ...filters,
+              count: page.meals.length,
+              total_count: page.total,
+              next_cursor: page.nextCursor,
+              sort_by: listing.sort_by,
+              sort_order,
+              meals: page.meals
+            };
+
+            if (page.meals.length === 0) {
+              resultText = page.offset > 0 ? `No more meals (${page.total} in total).` : empty;
+              return;
+            }
+
+            const range = `${page.offset + 1}-${page.offset + page.meals.length} of ${page.total} meals`;
+            resultText = `${title} (${range}, by ${listing.sort_by} ${sort_order}):\n\n${JSON.stringify(page.meals, null, 2)}`;
+            if (page.nextCursor) {
+              resultText += `\n\nMore meals available: pass cursor "${page.nextCursor}" to get the next page.`;
+            }
+          };
+
+          // Build query based on type - RLS automatically filters by user_id
+          switch (query_type) {
+            case 'recent': {
+              await listMeals({
+                filters: {},
+                applyFilters: query => query,
+                defaultSort: 'created_at',
+                defaultLimit: 10,
+                title: 'Recent Meals',
+                empty: 'No meals found.'
+              });
+              break;
             }
 
             case 'by_date': {
-              if (!date) throw new Error('Date parameter is required for "by_date" query');
-              query = query.eq('meal_day', date).order('created_at', { ascending: false });
-              const { data, error } = await query;
-              if (error) throw new Error(`Database error: ${error.message}`);
-
-              resultText = data?.length > 0
-                ? `Meals for ${date} (${data.length} meals):\n\n${JSON.stringify(data, null, 2)}`
-                : `No meals found for ${date}.`;
+              // A period such as "last_week" lists every day in it
+              const { start, end } = date ? await dates.range(date) : { start: await dates.today(), end: await dates.today() };
+              const days = start === end ? start : `${start} to ${end}`;
+              await listMeals({
+                filters: { start_date: start, end_date: end },
+                applyFilters: query => query.gte('meal_day', start).lte('meal_day', end),
+                defaultSort: 'meal_day',
+                defaultLimit: 50,
+                title: `Meals for ${days}`,
+                empty: `No meals found for ${days}.`
+              });
               break;
             }
 
             case 'date_range': {
-              if (!date || !end_date) {
-                throw new Error('Both date and end_date parameters are required for "date_range" query');
+              if (!date) {
+                throw new Error('date parameter is required for "date_range" query');
               }
-              query = query.gte('meal_day', date).lte('meal_day', end_date).order('meal_day', { ascending: false });
-              const { data, error } = await query;
-              if (error) throw new Error(`Database error: ${error.message}`);
-
-              resultText = data?.length > 0
-                ? `Meals from ${date} to ${end_date} (${data.length} meals):\n\n${JSON.stringify(data, null, 2)}`
-                : `No meals found between ${date} and ${end_date}.`;
+              const { start, end } = await resolveQueryRange(dates, date, end_date);
+              await listMeals({
+                filters: { start_date: start, end_date: end },
+                applyFilters: query => query.gte('meal_day', start).lte('meal_day', end),
+                defaultSort: 'meal_day',
+                defaultLimit: 50,
+                title: `Meals from ${start} to ${end}`,
+                empty: `No meals found between ${start} and ${end}.`
+              });
               break;
             }
 
             case 'by_meal_type': {
               if (!meal_type) throw new Error('meal_type parameter is required for "by_meal_type" query');
-              query = query.eq('meal', meal_type).order('created_at', { ascending: false }).limit(limit);
-              const { data, error } = await query;
-              if (error) throw new Error(`Database error: ${error.message}`);
-
-              resultText = data?.length > 0
-                ? `${meal_type} meals (${data.length} meals):\n\n${JSON.stringify(data, null, 2)}`
-                : `No ${meal_type} meals found.`;
+              await listMeals({
+                filters: { meal_type },
+                applyFilters: query => query.eq('meal', meal_type),
+                defaultSort: 'created_at',
+                defaultLimit: 10,
+                title: `${meal_type} meals`,
+                empty: `No ${meal_type} meals found.`
+              });
               break;
             }
 
             case 'daily_totals':
             case 'weekly_totals':
             case 'monthly_totals': {
-              const startDate = date || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-              const endDateVal = end_date || new Date().toISOString().split('T')[0];
-
-              const { data: meals, error } = await supabase
-                .from('fact_meal_macros')
-                .select('meal_day, calories, macros')
-                .gte('meal_day', startDate)
-                .lte('meal_day', endDateVal)
-                .order('meal_day', { ascending: false });
-
-              if (error) throw new Error(`Database error: ${error.message}`);
-
-              if (query_type === 'daily_totals') {
-                // Aggregate by day
-                const dailyTotals = {};
-                meals.forEach(meal => {
-                  if (!dailyTotals[meal.meal_day]) {
-                    dailyTotals[meal.meal_day] = {
-                      meal_day: meal.meal_day,
-                      total_calories: 0,
-                      total_protein: 0,
-                      total_carbs: 0,
-                      total_fat: 0,
-                      meal_count: 0
-                    };
-                  }
-                  dailyTotals[meal.meal_day].total_calories += meal.calories || 0;
-                  dailyTotals[meal.meal_day].total_protein += meal.macros?.protein || 0;
-                  dailyTotals[meal.meal_day].total_carbs += meal.macros?.carbs || 0;
-                  dailyTotals[meal.meal_day].total_fat += meal.macros?.fat || 0;
-                  dailyTotals[meal.meal_day].meal_count += 1;
-                });
-
-                resultText = `Daily Totals (${Object.keys(dailyTotals).length} days):\n\n${JSON.stringify(Object.values(dailyTotals), null, 2)}`;
-              } else {
-                // Aggregate by week or month
-                const periodTotals = {};
-                meals.forEach(meal => {
-                  const mealDate = new Date(meal.meal_day);
-                  let periodKey;
-
-                  if (query_type === 'weekly_totals') {
-                    const weekNum = getISOWeek(mealDate);
-                    periodKey = `${mealDate.getFullYear()}-W${weekNum}`;
-                  } else {
-                    periodKey = `${mealDate.getFullYear()}-${String(mealDate.getMonth() + 1).padStart(2, '0')}`;
-                  }
-
-                  if (!periodTotals[periodKey]) {
-                    periodTotals[periodKey] = {
-                      period: periodKey,
-                      total_calories: 0,
-                      total_protein: 0,
-                      total_carbs: 0,
-                      total_fat: 0,
-                      meal_count: 0,
-                      days_count: new Set()
-                    };
-                  }
-                  periodTotals[periodKey].total_calories += meal.calories || 0;
-                  periodTotals[periodKey].total_protein += meal.macros?.protein || 0;
-                  periodTotals[periodKey].total_carbs += meal.macros?.carbs || 0;
-                  periodTotals[periodKey].total_fat += meal.macros?.fat || 0;
-                  periodTotals[periodKey].meal_count += 1;
-                  periodTotals[periodKey].days_count.add(meal.meal_day);
-                });
-
-                // Convert Set to count
-                Object.values(periodTotals).forEach(period => {
-                  period.days_count = period.days_count.size;
-                  period.avg_calories_per_day = Math.round(period.total_calories / period.days_count);
-                });
-
-                resultText = `${query_type === 'weekly_totals' ? 'Weekly' : 'Monthly'} Totals (${Object.keys(periodTotals).length} periods):\n\n${JSON.stringify(Object.values(periodTotals), null, 2)}`;
+              const { start: startDate, end: endDateVal } = await resolveQueryRange(dates, date, end_date);
+
+              const granularity = { daily_totals: 'day', weekly_totals: 'week', monthly_totals: 'month' }[query_type];
+              const totals = await fetchPeriodTotals(supabase, { startDate, endDate: endDateVal, granularity });
+              const label = { day: 'Daily', week: 'Weekly', month: 'Monthly' }[granularity];
+
+              const units = unitsFor(totals.map(row => row.totals));
+
+              structured = { query_type, start_date: startDate, end_date: endDateVal, count: totals.length, totals, units };
+              resultText = `${label} Totals from ${startDate} to ${endDateVal} (${totals.length} ${granularity === 'day' ? 'days' : 'periods'}):\n\n${JSON.stringify(totals, null, 2)}\n\nUnits: ${JSON.stringify(units)}`;
+              break;
+            }
+
+            case 'progress': {
+              const { start: startDate, end: endDateVal } = await resolveQueryRange(dates, date, end_date);
+
+              const useTargets = targets && Object.keys(targets).length > 0 ? targets : null;
+              const goalHistory = useTargets ? [] : await fetchGoalHistory(supabase, endDateVal);
+
+              if (!useTargets && goalHistory.length === 0) {
+                throw new Error('No goals set. Use set_goals first, or pass targets for this query');
               }
+
+              const meals = await fetchMealsInRange(supabase, startDate, endDateVal);
+
+              const report = buildProgressReport(meals, {
+                startDate,
+                endDate: endDateVal,
+                goalHistory,
+                targets: useTargets,
+                tolerancePct: tolerance_pct,
+                groupBy: group_by
+              });
+
+              structured = { query_type, start_date: startDate, end_date: endDateVal, progress: report };
+              resultText = `Progress vs goals from ${startDate} to ${endDateVal} (${report.days_tracked} of ${report.days_in_range} days tracked):\n\n${JSON.stringify(report, null, 2)}`;
               break;
             }
 
@@ -335,7 +1085,8 @@ Items: ${JSON.stringify(meal_items, null, 2)}`
             content: [{
               type: 'text',
               text: resultText
-            }]
+            }],
+            structuredContent: structured
           };
         } catch (error) {
           logger.error('get_meal_data error', { error: error.message, stack: error.stack });
@@ -349,6 +1100,552 @@ Items: ${JSON.stringify(meal_items, null, 2)}`
           };
         }
       }
+    },
+    {
+      name: 'search_meals',
+      description: '🔐 [REQUIRES AUTH] Search your meal history by food name (e.g., "when did I last eat salmon?"). Matches meal item names case-insensitively, optionally within dates or one meal type, and returns the matching meals plus how often and how many grams of each matching item you logged. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            minLength: 1,
+            description: 'Text to find in meal item names (e.g., "salmon" matches "smoked salmon")'
+          },
+          date: {
+            type: 'string',
+            pattern: DATE_EXPRESSION_PATTERN,
+            description: `Only meals on or after this date: ${DATE_EXPRESSION_HELP}. A period such as "last_week" covers the whole period. Default: all history`
+          },
+          end_date: {
+            type: 'string',
+            pattern: DATE_EXPRESSION_PATTERN,
+            description: `Only meals on or before this date: ${DATE_EXPRESSION_HELP}`
+          },
+          meal_type: {
+            type: 'string',
+            enum: MEAL_TYPES,
+            description: 'Only meals of this type'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_LIST_PAGE_SIZE,
+            default: 20,
+            description: `Most recent matching meals to return (max ${MAX_LIST_PAGE_SIZE}). Item statistics always cover every match. Default: 20`
+          }
+        },
+        required: ['query']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          start_date: { type: ['string', 'null'] },
+          end_date: { type: ['string', 'null'] },
+          meal_type: { type: ['string', 'null'] },
+          total_count: { type: 'integer', description: 'Meals matching the search' },
+          last_eaten: { type: ['string', 'null'], description: 'Most recent meal_day with a match' },
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                item: { type: 'string' },
+                meal_count: { type: 'integer' },
+                total_grams: { type: 'number' },
+                first_eaten: { type: 'string' },
+                last_eaten: { type: 'string' }
+              },
+              required: ['item', 'meal_count', 'total_grams', 'first_eaten', 'last_eaten']
+            }
+          },
+          count: { type: 'integer' },
+          meals: { type: 'array', items: MEAL_RECORD_SCHEMA }
+        },
+        required: ['query', 'total_count', 'last_eaten', 'items', 'count', 'meals']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          const { date, end_date, meal_type, limit = 20 } = args;
+          const query = typeof args.query === 'string' ? args.query.trim() : '';
+
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          if (!query) {
+            throw new Error('query is required');
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+          const dates = createDateResolver(supabase);
+
+          // Open-ended unless dates are given
+          const { start: startDate, end: endDate } = await dates.openRange(date, end_date);
+
+          logger.info('Searching meals', { user_id: userId, query, start_date: startDate, end_date: endDate, meal_type });
+
+          const matches = await searchMeals(supabase, { search: query, startDate, endDate, mealType: meal_type ?? null });
+          const items = summarizeMatchedItems(matches, query);
+          const meals = matches.slice(0, Math.min(limit, MAX_LIST_PAGE_SIZE)).map(toMealRecord);
+          const lastEaten = matches[0]?.meal_day ?? null;
+
+          const result = {
+            query,
+            start_date: startDate,
+            end_date: endDate,
+            meal_type: meal_type ?? null,
+            total_count: matches.length,
+            last_eaten: lastEaten,
+            items,
+            count: meals.length,
+            meals
+          };
+
+          return {
+            content: [{
+              type: 'text',
+              text: matches.length > 0
+                ? `Found ${matches.length} meal(s) with "${query}" (last eaten ${lastEaten}):
+
+Items: ${JSON.stringify(items, null, 2)}
+
+Most recent meals (${meals.length} of ${matches.length}):
+
+${JSON.stringify(meals, null, 2)}`
+                : `No meals found with "${query}".`
+            }],
+            structuredContent: result
+          };
+        } catch (error) {
+          logger.error('search_meals error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error searching meals: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    },
+    {
+      name: 'update_meal',
+      description: '🔐 [REQUIRES AUTH] Correct a previously saved meal. Only the fields you pass are changed; the rest are kept. Returns the record before and after the update. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          meal_id: {
+            type: 'string',
+            format: 'uuid',
+            description: 'ID of the meal to update (as returned by save_meal or get_meal_data)'
+          },
+          meal: {
+            type: 'string',
+            enum: MEAL_TYPES,
+            description: 'New meal type'
+          },
+          meal_day: {
+            type: 'string',
+            pattern: DATE_EXPRESSION_PATTERN,
+            description: `New date of the meal: ${DATE_EXPRESSION_HELP} (a single day)`
+          },
+          calories: {
+            type: 'integer',
+            description: 'New total calories of the meal (integer)'
+          },
+          macros: {
+            type: 'object',
+            description: 'Replacement macronutrients as key-value pairs (e.g., {"protein": 25.5, "carbs": 30.2, "fat": 10.5})',
+            additionalProperties: { type: 'number' }
+          },
+          meal_items: {
+            type: 'object',
+            description: 'Replacement meal items with quantities in grams (e.g., {"chicken breast": 150, "rice": 100})',
+            additionalProperties: { type: 'number' }
+          }
+        },
+        required: ['meal_id']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          meal_id: { type: 'string' },
+          changed_fields: { type: 'array', items: { type: 'string' } },
+          before: MEAL_RECORD_SCHEMA,
+          after: MEAL_RECORD_SCHEMA,
+          renamed_nutrients: RENAMED_NUTRIENTS_SCHEMA
+        },
+        required: ['meal_id', 'changed_fields', 'before', 'after', 'renamed_nutrients']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          const { meal_id } = args;
+
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          const patch = {};
+          for (const field of UPDATABLE_FIELDS) {
+            if (args[field] !== undefined) {
+              patch[field] = args[field];
+            }
+          }
+
+          if (Object.keys(patch).length === 0) {
+            throw new Error(`Nothing to update. Provide at least one of: ${UPDATABLE_FIELDS.join(', ')}`);
+          }
+
+          let renamedNutrients = [];
+          if (patch.macros) {
+            const { macros, calories, renamed } = prepareMacros(patch.macros, patch.calories);
+            patch.macros = macros;
+            if (calories !== undefined) patch.calories = calories;
+            renamedNutrients = renamed;
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+
+          if (patch.meal_day !== undefined) {
+            patch.meal_day = await createDateResolver(supabase).day(patch.meal_day, 'meal_day');
+          }
+
+          logger.info('Updating meal', { user_id: userId, meal_id, fields: Object.keys(patch) });
+
+          // Fetch current record first - RLS hides meals belonging to other users
+          const { data: before, error: fetchError } = await supabase
+            .from('fact_meal_macros')
+            .select('*')
+            .eq('id', meal_id)
+            .maybeSingle();
+
+          if (fetchError) throw new Error(`Database error: ${fetchError.message}`);
+          if (!before) throw new Error(`Meal ${meal_id} not found`);
+
+          const { data: after, error } = await supabase
+            .from('fact_meal_macros')
+            .update(patch)
+            .eq('id', meal_id)
+            .select()
+            .single();
+
+          if (error) {
+            logger.error('Supabase update error', { error: error.message, user_id: userId });
+            throw new Error(`Database error: ${error.message}`);
+          }
+
+          // Moving a meal to another day changes both days
+          emitMealsChanged(supabase, userId, [before.meal_day, after.meal_day]);
+
+          logger.info('Meal updated successfully', { meal_id, user_id: userId });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `✅ Meal updated successfully!
+
+Meal ID: ${meal_id}
+Changed fields: ${Object.keys(patch).join(', ')}
+
+Before: ${JSON.stringify(before, null, 2)}
+
+After: ${JSON.stringify(after, null, 2)}${renamedNutrients.length > 0 ? `
+
+Renamed nutrients: ${renamedNutrients.map(({ from, to }) => `${from} → ${to}`).join(', ')}` : ''}`
+            }],
+            structuredContent: {
+              meal_id,
+              changed_fields: Object.keys(patch),
+              before: toMealRecord(before),
+              after: toMealRecord(after),
+              renamed_nutrients: renamedNutrients
+            }
+          };
+        } catch (error) {
+          logger.error('update_meal error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error updating meal: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    },
+    {
+      name: 'delete_meal',
+      description: '🔐 [REQUIRES AUTH] Delete a saved meal by ID, or bulk delete every meal of a day (optionally only one meal slot). Returns the deleted records. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          meal_id: {
+            type: 'string',
+            format: 'uuid',
+            description: 'ID of the meal to delete. Takes precedence over meal_day/meal.'
+          },
+          meal_day: {
+            type: 'string',
+            pattern: DATE_EXPRESSION_PATTERN,
+            description: `Bulk delete: the day whose meals should be deleted (used when meal_id is omitted): ${DATE_EXPRESSION_HELP} (a single day)`
+          },
+          meal: {
+            type: 'string',
+            enum: MEAL_TYPES,
+            description: 'Bulk delete: restrict deletion on meal_day to this meal type'
+          }
+        }
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          deleted_count: { type: 'integer' },
+          deleted: { type: 'array', items: MEAL_RECORD_SCHEMA }
+        },
+        required: ['deleted_count', 'deleted']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          const { meal_id, meal } = args;
+
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          if (!meal_id && !args.meal_day) {
+            throw new Error('Either meal_id or meal_day is required');
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+
+          const meal_day = meal_id ? undefined : await createDateResolver(supabase).day(args.meal_day, 'meal_day');
+
+          logger.info('Deleting meals', { user_id: userId, meal_id, meal_day, meal });
+
+          // Delete and return the removed rows - RLS restricts deletion to the user's own records
+          let query = supabase.from('fact_meal_macros').delete();
+          if (meal_id) {
+            query = query.eq('id', meal_id);
+          } else {
+            query = query.eq('meal_day', meal_day);
+            if (meal) query = query.eq('meal', meal);
+          }
+
+          const { data: deleted, error } = await query.select();
+
+          if (error) {
+            logger.error('Supabase delete error', { error: error.message, user_id: userId });
+            throw new Error(`Database error: ${error.message}`);
+          }
+
+          const target = meal_id
+            ? `meal ${meal_id}`
+            : `${meal ? `${meal} meals` : 'meals'} on ${meal_day}`;
+
+          if (!deleted?.length) {
+            return {
+              content: [{
+                type: 'text',
+                text: `No meals found to delete for ${target}.`
+              }],
+              structuredContent: { deleted_count: 0, deleted: [] }
+            };
+          }
+
+          logger.info('Meals deleted successfully', { user_id: userId, count: deleted.length });
+          emitMealsChanged(supabase, userId, deleted.map(row => row.meal_day));
+
+          return {
+            content: [{
+              type: 'text',
+              text: `🗑️ Deleted ${deleted.length} meal(s) for ${target}.
+
+Deleted records: ${JSON.stringify(deleted, null, 2)}`
+            }],
+            structuredContent: { deleted_count: deleted.length, deleted: deleted.map(toMealRecord) }
+          };
+        } catch (error) {
+          logger.error('delete_meal error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error deleting meal: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    },
+    {
+      name: 'copy_meals',
+      description: '🔐 [REQUIRES AUTH] Repeat meals on another day (e.g., "same breakfast as yesterday"). Copies one meal by ID, or every meal of a source day (optionally only one meal slot), onto a target date, optionally scaled by a portion factor. Returns the IDs of the created meals. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          meal_id: {
+            type: 'string',
+            format: 'uuid',
+            description: 'ID of the meal to copy. Takes precedence over source_date/source_meal.'
+          },
+          source_date: {
+            type: 'string',
+            pattern: DATE_EXPRESSION_PATTERN,
+            description: `Copy the meals of this day (used when meal_id is omitted): ${DATE_EXPRESSION_HELP} (a single day, e.g. "yesterday")`
+          },
+          source_meal: {
+            type: 'string',
+            enum: MEAL_TYPES,
+            description: 'Only copy meals of this type from source_date'
+          },
+          target_date: {
+            type: 'string',
+            pattern: DATE_EXPRESSION_PATTERN,
+            description: `Day to copy the meals onto: ${DATE_EXPRESSION_HELP} (a single day, e.g. "today")`
+          },
+          target_meal: {
+            type: 'string',
+            enum: MEAL_TYPES,
+            description: 'Log the copies as this meal type instead of keeping the original ones'
+          },
+          portion: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            default: 1,
+            description: 'Scale calories, macros and item grams by this factor (e.g., 0.5 for half). Default: 1'
+          }
+        },
+        required: ['target_date']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          created_ids: { type: 'array', items: { type: 'string' } },
+          copies: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                source_id: { type: 'string' },
+                meal: { type: 'string' },
+                meal_day: { type: 'string' },
+                calories: { type: 'number' }
+              },
+              required: ['id', 'source_id', 'meal', 'meal_day', 'calories']
+            }
+          }
+        },
+        required: ['created_ids', 'copies']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          const { meal_id, source_meal, target_meal, portion = 1 } = args;
+
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          if (!meal_id && !args.source_date) {
+            throw new Error('Either meal_id or source_date is required');
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+
+          const dates = createDateResolver(supabase);
+          const source_date = meal_id ? undefined : await dates.day(args.source_date, 'source_date');
+          const target_date = await dates.day(args.target_date, 'target_date');
+
+          logger.info('Copying meals', { user_id: userId, meal_id, source_date, source_meal, target_date, portion });
+
+          // RLS restricts the source meals to the user's own records
+          let query = supabase
+            .from('fact_meal_macros')
+            .select('*')
+            .order('created_at', { ascending: true });
+
+          if (meal_id) {
+            query = query.eq('id', meal_id);
+          } else {
+            query = query.eq('meal_day', source_date);
+            if (source_meal) query = query.eq('meal', source_meal);
+          }
+
+          const { data: sources, error } = await query;
+          if (error) throw new Error(`Database error: ${error.message}`);
+
+          const source = meal_id
+            ? `meal ${meal_id}`
+            : `${source_meal ? `${source_meal} meals` : 'meals'} on ${source_date}`;
+
+          if (!sources?.length) {
+            return {
+              content: [{
+                type: 'text',
+                text: `No meals found to copy for ${source}.`
+              }],
+              structuredContent: { created_ids: [], copies: [] }
+            };
+          }
+
+          // Pick the copies' IDs here so each one stays paired with its source
+          const sourceIds = new Map();
+          const created = await insertMeals(supabase, userId, sources.map(meal => {
+            const id = crypto.randomUUID();
+            sourceIds.set(id, meal.id);
+            return {
+              id,
+              meal: target_meal || meal.meal,
+              meal_day: target_date,
+              ...scaleMeal(meal, portion)
+            };
+          }));
+
+          const copies = created.map(meal => ({
+            id: meal.id,
+            source_id: sourceIds.get(meal.id),
+            meal: meal.meal,
+            meal_day: meal.meal_day,
+            calories: meal.calories
+          }));
+
+          logger.info('Meals copied successfully', { user_id: userId, count: created.length });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `✅ Copied ${created.length} meal(s) from ${source} to ${target_date}${portion !== 1 ? ` (x${portion})` : ''}.
+
+Created meal IDs: ${created.map(meal => meal.id).join(', ')}
+
+Copies: ${JSON.stringify(copies, null, 2)}`
+            }],
+            structuredContent: { created_ids: created.map(meal => meal.id), copies }
+          };
+        } catch (error) {
+          logger.error('copy_meals error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error copying meals: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
     }
   ];
 }
@@ -0,0 +1,445 @@
+/**
+ * Saved recipe tools with Supabase integration
+ * A recipe is a list of ingredients ({ "food name": grams }) that yields a number
+ * of servings (and optionally a cooked weight). save_meal expands a portion of a
+ * recipe into meal_items and computes the macros from them.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { createUserSupabaseClient } from '../utils/supabase.js';
+import { computeMealNutrition, fetchCustomFoods } from './foods.js';
+import { RECIPE_SCHEMA, RECIPE_NUTRITION_SCHEMA } from './schemas.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Editable columns of user_recipes
+const RECIPE_FIELDS = ['name', 'ingredients', 'servings', 'yield_grams'];
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Stable public shape of a user_recipes row
+ */
+function toRecipeRecord(row) {
+  const { id, name, ingredients, servings, yield_grams } = row;
+  return {
+    id,
+    name,
+    ingredients,
+    servings: Number(servings),
+    yield_grams: yield_grams === null || yield_grams === undefined ? null : Number(yield_grams)
+  };
+}
+
+/**
+ * Fetch one of the user's recipes by ID or by name (case-insensitive)
+ */
+export async function fetchRecipe(supabase, ref) {
+  let query = supabase.from('user_recipes').select('*');
+
+  query = UUID_PATTERN.test(ref)
+    ? query.eq('id', ref)
+    : query.ilike('name', ref.replace(/[\\%_]/g, '\\$&'));
+
+  const { data, error } = await query.limit(1).maybeSingle();
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+  if (!data) throw new Error(`Recipe "${ref}" not found. Use list_recipes to see your recipes.`);
+
+  return data;
+}
+
+/**
+ * Scale a recipe's ingredients to a portion
+ * portion is a number of servings; portionGrams a cooked weight (needs the recipe's yield_grams).
+ * Give at most one of them.
+ */
+export function expandRecipe(recipe, { portion, portionGrams } = {}) {
+  let factor;
+
+  if (portion !== undefined && portionGrams !== undefined) {
+    throw new Error('Give either portion (servings) or portion_grams (cooked weight), not both');
+  }
+
+  if (portionGrams !== undefined) {
+    if (!recipe.yield_grams) {
+      throw new Error(`Recipe "${recipe.name}" has no yield_grams, so portions must be given in servings`);
+    }
+    factor = portionGrams / recipe.yield_grams;
+  } else {
+    factor = (portion ?? 1) / recipe.servings;
+  }
+
+  const mealItems = {};
+  for (const [item, grams] of Object.entries(recipe.ingredients)) {
+    mealItems[item] = round1(grams * factor);
+  }
+
+  return { mealItems, factor };
+}
+
+/**
+ * Nutrition of a whole recipe and of one serving
+ * Throws if an ingredient can't be matched, so every saved recipe can be expanded by save_meal
+ */
+async function computeRecipeNutrition(ingredients, servings, customFoods) {
+  const nutrition = await computeMealNutrition(ingredients, customFoods);
+
+  if (nutrition.unresolved.length > 0) {
+    throw new Error(`Could not find ${nutrition.unresolved.map(item => `"${item}"`).join(', ')} in your foods or the food catalog. Use lookup_food to find the right food name, or create_custom_food to add it.`);
+  }
+
+  const total = { calories: nutrition.calories, ...nutrition.macros };
+  const per_serving = Object.fromEntries(
+    Object.entries(total).map(([nutrient, value]) => [nutrient, round1(value / servings)])
+  );
+
+  return { total, per_serving, matches: nutrition.matches };
+}
+
+function recipeDatabaseError(error, name) {
+  // Unique (user_id, name) violation
+  if (error.code === '23505') {
+    return new Error(`You already have a recipe named "${name}"`);
+  }
+  return new Error(`Database error: ${error.message}`);
+}
+
+const recipeProperties = {
+  name: {
+    type: 'string',
+    minLength: 1,
+    description: 'Name of the recipe (e.g., "Chicken curry"). Must be unique among your recipes'
+  },
+  ingredients: {
+    type: 'object',
+    description: 'Raw ingredients with quantities in grams for the whole recipe (e.g., {"chicken breast": 600, "rice": 400, "coconut milk": 200})',
+    additionalProperties: { type: 'number', exclusiveMinimum: 0 },
+    minProperties: 1
+  },
+  servings: {
+    type: 'number',
+    exclusiveMinimum: 0,
+    description: 'Number of servings the recipe makes. Default: 1'
+  },
+  yield_grams: {
+    type: 'number',
+    exclusiveMinimum: 0,
+    description: 'Optional total cooked weight in grams, so portions can be logged by weight'
+  }
+};
+
+/**
+ * Get saved recipe tool definitions
+ */
+export function getRecipeTools() {
+  return [
+    {
+      name: 'create_recipe',
+      description: '🔐 [REQUIRES AUTH] Save a recipe you eat often as ingredients with gram quantities and a yield. Log portions of it with save_meal (recipe + portion) instead of listing every ingredient. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: recipeProperties,
+        required: ['name', 'ingredients']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          recipe: RECIPE_SCHEMA,
+          nutrition: RECIPE_NUTRITION_SCHEMA
+        },
+        required: ['recipe', 'nutrition']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          const { ingredients, servings = 1, yield_grams = null } = args;
+
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+          const name = args.name.trim();
+
+          logger.info('Creating recipe', { user_id: userId, name });
+
+          const nutrition = await computeRecipeNutrition(ingredients, servings, await fetchCustomFoods(supabase));
+
+          // Insert recipe - RLS ensures user can only insert to their own records
+          const { data, error } = await supabase
+            .from('user_recipes')
+            .insert({ id: crypto.randomUUID(), user_id: userId, name, ingredients, servings, yield_grams })
+            .select()
+            .single();
+
+          if (error) {
+            logger.error('Supabase insert error', { error: error.message, user_id: userId });
+            throw recipeDatabaseError(error, name);
+          }
+
+          logger.info('Recipe created successfully', { recipe_id: data.id, user_id: userId });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `✅ Recipe "${data.name}" saved!
+
+Recipe ID: ${data.id}
+Servings: ${data.servings}${data.yield_grams ? ` (${data.yield_grams} g cooked)` : ''}
+
+Ingredients: ${JSON.stringify(data.ingredients, null, 2)}
+
+Nutrition: ${JSON.stringify({ total: nutrition.total, per_serving: nutrition.per_serving }, null, 2)}`
+            }],
+            structuredContent: {
+              recipe: toRecipeRecord(data),
+              nutrition: { total: nutrition.total, per_serving: nutrition.per_serving }
+            }
+          };
+        } catch (error) {
+          logger.error('create_recipe error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error creating recipe: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    },
+    {
+      name: 'list_recipes',
+      description: '🔐 [REQUIRES AUTH] List your saved recipes with their ingredients and yield. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {}
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          recipes: { type: 'array', items: RECIPE_SCHEMA }
+        },
+        required: ['recipes']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          const supabase = createUserSupabaseClient(authInfo.token);
+
+          logger.info('Listing recipes', { user_id: authInfo.userId });
+
+          const { data, error } = await supabase
+            .from('user_recipes')
+            .select('*')
+            .order('name', { ascending: true });
+
+          if (error) throw new Error(`Database error: ${error.message}`);
+
+          const recipes = (data || []).map(toRecipeRecord);
+
+          return {
+            content: [{
+              type: 'text',
+              text: recipes.length > 0
+                ? `Your Recipes (${recipes.length} recipes):\n\n${JSON.stringify(recipes, null, 2)}`
+                : 'No recipes yet. Use create_recipe to add one.'
+            }],
+            structuredContent: { recipes }
+          };
+        } catch (error) {
+          logger.error('list_recipes error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error listing recipes: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    },
+    {
+      name: 'update_recipe',
+      description: '🔐 [REQUIRES AUTH] Change a saved recipe. Only the fields you pass are changed; ingredients are replaced as a whole. Meals already saved keep their stored macros. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          recipe_id: {
+            type: 'string',
+            format: 'uuid',
+            description: 'ID of the recipe to update (as returned by create_recipe or list_recipes)'
+          },
+          ...recipeProperties
+        },
+        required: ['recipe_id']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          recipe: RECIPE_SCHEMA,
+          nutrition: RECIPE_NUTRITION_SCHEMA
+        },
+        required: ['recipe', 'nutrition']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          const { recipe_id } = args;
+
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          const patch = {};
+          for (const field of RECIPE_FIELDS) {
+            if (args[field] !== undefined) {
+              patch[field] = field === 'name' ? args.name.trim() : args[field];
+            }
+          }
+
+          if (Object.keys(patch).length === 0) {
+            throw new Error(`Nothing to update. Provide at least one of: ${RECIPE_FIELDS.join(', ')}`);
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+
+          logger.info('Updating recipe', { user_id: userId, recipe_id, fields: Object.keys(patch) });
+
+          const current = await fetchRecipe(supabase, recipe_id);
+          const nutrition = await computeRecipeNutrition(
+            patch.ingredients ?? current.ingredients,
+            patch.servings ?? current.servings,
+            await fetchCustomFoods(supabase)
+          );
+
+          const { data, error } = await supabase
+            .from('user_recipes')
+            .update({ ...patch, updated_at: new Date().toISOString() })
+            .eq('id', recipe_id)
+            .select()
+            .single();
+
+          if (error) {
+            logger.error('Supabase update error', { error: error.message, user_id: userId });
+            throw recipeDatabaseError(error, patch.name);
+          }
+
+          logger.info('Recipe updated successfully', { recipe_id, user_id: userId });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `✅ Recipe updated successfully!
+
+Recipe ID: ${recipe_id}
+Changed fields: ${Object.keys(patch).join(', ')}
+
+Recipe: ${JSON.stringify(data, null, 2)}
+
+Nutrition: ${JSON.stringify({ total: nutrition.total, per_serving: nutrition.per_serving }, null, 2)}`
+            }],
+            structuredContent: {
+              recipe: toRecipeRecord(data),
+              nutrition: { total: nutrition.total, per_serving: nutrition.per_serving }
+            }
+          };
+        } catch (error) {
+          logger.error('update_recipe error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error updating recipe: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    },
+    {
+      name: 'delete_recipe',
+      description: '🔐 [REQUIRES AUTH] Delete a saved recipe. Meals already logged from it are kept. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          recipe_id: {
+            type: 'string',
+            format: 'uuid',
+            description: 'ID of the recipe to delete'
+          }
+        },
+        required: ['recipe_id']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          deleted_count: { type: 'integer' },
+          deleted: { type: 'array', items: RECIPE_SCHEMA }
+        },
+        required: ['deleted_count', 'deleted']
+      },
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          const { recipe_id } = args;
+
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+
+          logger.info('Deleting recipe', { user_id: userId, recipe_id });
+
+          const { data: deleted, error } = await supabase
+            .from('user_recipes')
+            .delete()
+            .eq('id', recipe_id)
+            .select();
+
+          if (error) {
+            logger.error('Supabase delete error', { error: error.message, user_id: userId });
+            throw new Error(`Database error: ${error.message}`);
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: deleted?.length
+                ? `🗑️ Deleted recipe "${deleted[0].name}".`
+                : `No recipe found to delete for ${recipe_id}.`
+            }],
+            structuredContent: {
+              deleted_count: deleted?.length || 0,
+              deleted: (deleted || []).map(toRecipeRecord)
+            }
+          };
+        } catch (error) {
+          logger.error('delete_recipe error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error deleting recipe: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    }
+  ];
+}
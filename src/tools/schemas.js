@@ -0,0 +1,213 @@
+/**
+ * JSON Schemas for tool results (MCP outputSchema / structuredContent)
+ * Field names here are part of the public tool contract - add fields, don't rename them.
+ */
+
+const nullable = type => ({ type: [type, 'null'] });
+
+export const NUMBER_MAP_SCHEMA = {
+  type: 'object',
+  additionalProperties: { type: 'number' }
+};
+
+// A row of fact_meal_macros as returned by every meal tool
+export const MEAL_RECORD_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    created_at: { type: 'string' },
+    meal: { type: 'string' },
+    meal_day: { type: 'string', description: 'YYYY-MM-DD' },
+    calories: { type: 'number' },
+    macros: NUMBER_MAP_SCHEMA,
+    meal_items: NUMBER_MAP_SCHEMA
+  },
+  required: ['id', 'meal', 'meal_day', 'calories', 'macros', 'meal_items']
+};
+
+// Totals for one day, ISO week or month
+export const AGGREGATE_ROW_SCHEMA = {
+  type: 'object',
+  properties: {
+    period: { type: 'string', description: 'YYYY-MM-DD, YYYY-Www or YYYY-MM' },
+    meal_count: { type: 'integer' },
+    days_count: { type: 'integer' },
+    total_calories: { type: 'number' },
+    total_protein: { type: 'number' },
+    total_carbs: { type: 'number' },
+    total_fat: { type: 'number' },
+    avg_calories_per_day: { type: 'number' },
+    totals: {
+      ...NUMBER_MAP_SCHEMA,
+      description: 'Sum of calories and every nutrient logged in the period, by canonical name'
+    }
+  },
+  required: ['period', 'meal_count', 'days_count', 'total_calories', 'total_protein', 'total_carbs', 'total_fat', 'avg_calories_per_day', 'totals']
+};
+
+const TARGET_COMPARISON_SCHEMA = {
+  type: 'object',
+  properties: {
+    actual: { type: 'number' },
+    target: { type: 'number' },
+    remaining: { type: 'number' },
+    percent: nullable('number'),
+    hit: { type: 'boolean' }
+  },
+  required: ['actual', 'target', 'remaining', 'percent', 'hit']
+};
+
+export const PROGRESS_REPORT_SCHEMA = {
+  type: 'object',
+  properties: {
+    start_date: { type: 'string' },
+    end_date: { type: 'string' },
+    tolerance_pct: { type: 'number' },
+    target_source: { type: 'string', enum: ['arguments', 'stored_goals'] },
+    days_in_range: { type: 'integer' },
+    days_tracked: { type: 'integer' },
+    summary: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          days_with_target: { type: 'integer' },
+          days_within_tolerance: { type: 'integer' },
+          hit_rate_percent: { type: 'number' },
+          current_streak: { type: 'integer' },
+          longest_streak: { type: 'integer' },
+          avg_actual: { type: 'number' },
+          avg_target: { type: 'number' }
+        }
+      }
+    },
+    days: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          date: { type: 'string' },
+          meal_count: { type: 'integer' },
+          goal_effective_date: nullable('string'),
+          nutrients: { type: 'object', additionalProperties: TARGET_COMPARISON_SCHEMA }
+        },
+        required: ['date', 'meal_count', 'nutrients']
+      }
+    },
+    periods: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          period: { type: 'string' },
+          days: { type: 'integer' },
+          days_tracked: { type: 'integer' },
+          nutrients: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                actual: { type: 'number' },
+                target: { type: 'number' },
+                remaining: { type: 'number' },
+                percent: nullable('number'),
+                days_within_tolerance: { type: 'integer' }
+              }
+            }
+          }
+        },
+        required: ['period', 'nutrients']
+      }
+    }
+  },
+  required: ['start_date', 'end_date', 'tolerance_pct', 'target_source', 'days_in_range', 'days_tracked', 'summary']
+};
+
+// A row of user_goals
+export const GOAL_RECORD_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    effective_date: { type: 'string' },
+    calories: { type: 'number' },
+    protein: { type: 'number' },
+    carbs: { type: 'number' },
+    fat: { type: 'number' },
+    fiber: nullable('number'),
+    sugar: nullable('number'),
+    sodium: nullable('number')
+  },
+  required: ['effective_date', 'calories', 'protein', 'carbs', 'fat']
+};
+
+// A catalog or personal food, nutrients per 100 g
+export const FOOD_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    source: { type: 'string', enum: ['catalog', 'custom'] },
+    aliases: { type: 'array', items: { type: 'string' } },
+    category: nullable('string'),
+    per_100g: NUMBER_MAP_SCHEMA
+  },
+  required: ['id', 'name', 'per_100g']
+};
+
+// A food catalog match used to compute a meal's macros
+export const FOOD_MATCH_SCHEMA = {
+  type: 'object',
+  properties: {
+    item: { type: 'string' },
+    grams: { type: 'number' },
+    food_id: { type: 'string' },
+    food_name: { type: 'string' },
+    source: { type: 'string', enum: ['catalog', 'custom'] },
+    score: { type: 'number' }
+  },
+  required: ['item', 'grams', 'food_id', 'food_name', 'source']
+};
+
+// Macro keys that save_meal/update_meal mapped to canonical nutrient names
+export const RENAMED_NUTRIENTS_SCHEMA = {
+  type: 'array',
+  description: 'Macro keys that were mapped to canonical nutrient names',
+  items: {
+    type: 'object',
+    properties: { from: { type: 'string' }, to: { type: 'string' } },
+    required: ['from', 'to']
+  }
+};
+
+// A row of user_recipes
+export const RECIPE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    ingredients: NUMBER_MAP_SCHEMA,
+    servings: { type: 'number' },
+    yield_grams: nullable('number')
+  },
+  required: ['id', 'name', 'ingredients', 'servings']
+};
+
+export const RECIPE_NUTRITION_SCHEMA = {
+  type: 'object',
+  properties: {
+    total: NUMBER_MAP_SCHEMA,
+    per_serving: NUMBER_MAP_SCHEMA
+  },
+  required: ['total', 'per_serving']
+};
+
+// A user's preferences from user_settings
+export const SETTINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    timezone: { type: 'string', description: 'IANA timezone name' },
+    is_default: { type: 'boolean', description: 'True when the user has not set a timezone yet' },
+    today: { type: 'string', description: 'Current date in the timezone (YYYY-MM-DD)' }
+  },
+  required: ['timezone', 'is_default', 'today']
+};
@@ -0,0 +1,191 @@
+/**
+ * User settings tools with Supabase integration
+ * The timezone decides which calendar day "today" is for a user, e.g. for
+ * default date ranges and goal effective dates
+ */
+
+import { config } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+import { createUserSupabaseClient } from '../utils/supabase.js';
+import { isDateString, isValidTimezone, resolveDateExpression, todayIn } from '../utils/dates.js';
+import { SETTINGS_SCHEMA } from './schemas.js';
+
+/**
+ * Fetch the user's settings row - RLS limits the result to their own row
+ * Returns { timezone, is_default }
+ */
+export async function fetchUserSettings(supabase) {
+  const { data, error } = await supabase
+    .from('user_settings')
+    .select('timezone')
+    .maybeSingle();
+
+  if (error) throw new Error(`Database error: ${error.message}`);
+
+  return data?.timezone
+    ? { timezone: data.timezone, is_default: false }
+    : { timezone: config.defaultTimezone, is_default: true };
+}
+
+/**
+ * The user's timezone, or DEFAULT_TIMEZONE if they haven't set one
+ */
+export async function fetchUserTimezone(supabase) {
+  return (await fetchUserSettings(supabase)).timezone;
+}
+
+/**
+ * Resolves date arguments that may be relative expressions ("yesterday", "last_week")
+ * against today in the user's timezone, which is only looked up when needed
+ */
+export function createDateResolver(supabase) {
+  let today = null;
+  const getToday = async () => (today ??= todayIn(await fetchUserTimezone(supabase)));
+
+  const range = async expression => resolveDateExpression(expression, isDateString(expression) ? null : await getToday());
+
+  return {
+    today: getToday,
+    range,
+    day: async (expression, argName) => {
+      const { start, end } = await range(expression);
+      if (start !== end) {
+        throw new Error(`${argName} must be a single day, but "${expression}" covers ${start} to ${end}`);
+      }
+      return start;
+    },
+    // Optional date/end_date filter: { start, end }, null where no bound was given.
+    // A period such as "last_week" in date covers the whole period.
+    openRange: async (date, endDate) => {
+      const from = date ? await range(date) : null;
+      const start = from?.start ?? null;
+      const end = endDate
+        ? (await range(endDate)).end
+        : from && from.start !== from.end ? from.end : null;
+
+      if (start && end && start > end) {
+        throw new Error(`date must be on or before end_date (resolved to ${start} and ${end})`);
+      }
+      return { start, end };
+    }
+  };
+}
+
+/**
+ * Get user settings tool definitions
+ */
+export function getSettingsTools() {
+  return [
+    {
+      name: 'get_settings',
+      description: '🔐 [REQUIRES AUTH] Get your settings: the timezone used to decide what "today" is, and today\'s date in it. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {}
+      },
+      outputSchema: SETTINGS_SCHEMA,
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          const supabase = createUserSupabaseClient(authInfo.token);
+
+          logger.info('Querying settings', { user_id: authInfo.userId });
+
+          const settings = await fetchUserSettings(supabase);
+          const result = { ...settings, today: todayIn(settings.timezone) };
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Timezone: ${result.timezone}${result.is_default ? ' (default - use update_settings to set yours)' : ''}
+Today: ${result.today}`
+            }],
+            structuredContent: result
+          };
+        } catch (error) {
+          logger.error('get_settings error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error querying settings: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    },
+    {
+      name: 'update_settings',
+      description: '🔐 [REQUIRES AUTH] Set your timezone so "today", "yesterday" and "this week" match your local calendar. You must authenticate to use this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          timezone: {
+            type: 'string',
+            description: 'IANA timezone name (e.g., "America/New_York", "Europe/Berlin", "UTC")'
+          }
+        },
+        required: ['timezone']
+      },
+      outputSchema: SETTINGS_SCHEMA,
+      requiresAuth: true,
+      handler: async (args, authInfo) => {
+        try {
+          const { timezone } = args;
+
+          if (!authInfo?.token) {
+            throw new Error('Authentication required');
+          }
+
+          // Intl accepts timeZone: undefined, so a missing argument must be caught here
+          if (typeof timezone !== 'string' || timezone.trim() === '') {
+            throw new Error('timezone is required, e.g. "America/New_York"');
+          }
+
+          if (!isValidTimezone(timezone)) {
+            throw new Error(`Unknown timezone "${timezone}". Use an IANA name such as "America/New_York"`);
+          }
+
+          const userId = authInfo.userId;
+          const supabase = createUserSupabaseClient(authInfo.token);
+
+          logger.info('Updating settings', { user_id: userId, timezone });
+
+          const { error } = await supabase
+            .from('user_settings')
+            .upsert({ user_id: userId, timezone, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+
+          if (error) {
+            logger.error('Supabase upsert error', { error: error.message, user_id: userId });
+            throw new Error(`Database error: ${error.message}`);
+          }
+
+          const result = { timezone, is_default: false, today: todayIn(timezone) };
+
+          return {
+            content: [{
+              type: 'text',
+              text: `✅ Timezone set to ${timezone}. Today is ${result.today}.`
+            }],
+            structuredContent: result
+          };
+        } catch (error) {
+          logger.error('update_settings error', { error: error.message, stack: error.stack });
+
+          return {
+            content: [{
+              type: 'text',
+              text: `Error updating settings: ${error.message}`
+            }],
+            isError: true
+          };
+        }
+      }
+    }
+  ];
+}
@@ -0,0 +1,218 @@
+/**
+ * Supabase access token verification
+ * Single code path for deciding whether a Supabase JWT can be trusted.
+ * Verified tokens are kept in a bounded LRU cache (keyed by token hash) so
+ * back-to-back requests with the same token skip the Supabase round-trip.
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/env.js';
+import { logger } from './logger.js';
+import { createLruCache } from './lru.js';
+import { createUserSupabaseClient } from './supabase.js';
+
+const tokenCache = createLruCache({ maxEntries: config.tokenCache.maxEntries });
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  localVerifications: 0,
+  remoteVerifications: 0,
+  failures: 0
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('base64url');
+}
+
+/**
+ * Decode a JWT without verifying it
+ * Returns { header, payload, signingInput, signature } or null if malformed
+ */
+function decodeJwt(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf-8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8')),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verify an HS256 Supabase JWT locally with SUPABASE_JWT_SECRET
+ * Returns the claims, false if the token is invalid, or null if it can't be checked locally
+ */
+function verifyLocally(jwt) {
+  if (!config.supabase.jwtSecret || jwt.header.alg !== 'HS256') {
+    return null;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', config.supabase.jwtSecret)
+    .update(jwt.signingInput)
+    .digest();
+
+  if (expected.length !== jwt.signature.length || !crypto.timingSafeEqual(expected, jwt.signature)) {
+    return false;
+  }
+
+  const { payload } = jwt;
+  if (!payload.sub || payload.aud !== 'authenticated') {
+    return false;
+  }
+
+  return payload;
+}
+
+/**
+ * Verify the token with Supabase Auth (network round-trip)
+ */
+async function verifyRemotely(bearerToken) {
+  const supabase = createUserSupabaseClient(bearerToken);
+
+  const { data: { user }, error } = await supabase.auth.getUser();
+
+  if (error || !user) {
+    logger.warn('Token verification failed', { error: error?.message });
+    return null;
+  }
+
+  return user;
+}
+
+/**
+ * Verify Supabase JWT token and return user info
+ * Returns { userId, email, token } or null if the token is invalid or expired
+ */
+export async function verifySupabaseToken(bearerToken) {
+  if (!bearerToken) {
+    return null;
+  }
+
+  const cacheKey = hashToken(bearerToken);
+  const cached = tokenCache.get(cacheKey);
+
+  if (cached) {
+    stats.hits += 1;
+    return { ...cached, token: bearerToken };
+  }
+
+  stats.misses += 1;
+
+  try {
+    const jwt = decodeJwt(bearerToken);
+    const exp = jwt?.payload?.exp;
+
+    if (!jwt || typeof exp !== 'number' || exp * 1000 <= Date.now()) {
+      logger.warn('Token verification failed', { error: 'Malformed or expired JWT' });
+      stats.failures += 1;
+      return null;
+    }
+
+    let userInfo;
+    const claims = verifyLocally(jwt);
+
+    if (claims === false) {
+      logger.warn('Token verification failed', { error: 'Invalid JWT signature or claims' });
+      stats.failures += 1;
+      return null;
+    }
+
+    if (claims) {
+      stats.localVerifications += 1;
+      userInfo = { userId: claims.sub, email: claims.email };
+    } else {
+      stats.remoteVerifications += 1;
+      const user = await verifyRemotely(bearerToken);
+      if (!user) {
+        stats.failures += 1;
+        return null;
+      }
+      userInfo = { userId: user.id, email: user.email };
+    }
+
+    // Never trust a cached entry past the JWT's own expiry
+    const expiresAt = Math.min(exp * 1000, Date.now() + config.tokenCache.ttlSeconds * 1000);
+    tokenCache.set(cacheKey, userInfo, expiresAt);
+
+    logger.info('Token verified', { user_id: userInfo.userId, email: userInfo.email, local: !!claims });
+
+    return { ...userInfo, token: bearerToken };
+  } catch (error) {
+    logger.error('Token verification error', { error: error.message });
+    stats.failures += 1;
+    return null;
+  }
+}
+
+const BEARER_ERRORS = {
+  invalid_request: 'No access token was provided in this request',
+  invalid_token: 'The access token is invalid or expired'
+};
+
+/**
+ * Authenticate an HTTP request by its Bearer token
+ * Returns authInfo, or sends a 401 with a WWW-Authenticate challenge pointing at the
+ * protected resource metadata (RFC 6750, RFC 9728) and returns null.
+ * errorBody(error, description, resourceMetadataUrl) builds the JSON response body.
+ */
+export async function authenticateBearerRequest(req, res, {
+  errorBody = (error, description) => ({ error, error_description: description })
+} = {}) {
+  const authHeader = req.headers.authorization;
+  const bearerToken = authHeader?.startsWith('Bearer ')
+    ? authHeader.substring(7)
+    : null;
+
+  const authInfo = bearerToken ? await verifySupabaseToken(bearerToken) : null;
+  if (authInfo) {
+    return authInfo;
+  }
+
+  const error = bearerToken ? 'invalid_token' : 'invalid_request';
+  if (bearerToken) {
+    logger.warn('Invalid or expired token', { path: req.path });
+  } else {
+    logger.info('No authorization token provided, returning 401', { path: req.path });
+  }
+
+  const baseUrl = config.baseUrl || 'http://localhost:3000';
+  const resourceMetadataUrl = `${baseUrl}/.well-known/oauth-protected-resource`;
+
+  // Set WWW-Authenticate header BEFORE sending response (per RFC 6750 and RFC 9728)
+  res.setHeader(
+    'WWW-Authenticate',
+    `Bearer error="${error}", ` +
+    `error_description="${BEARER_ERRORS[error]}", ` +
+    `resource_metadata="${resourceMetadataUrl}"`
+  );
+
+  res.status(401).json(errorBody(error, BEARER_ERRORS[error], resourceMetadataUrl));
+  return null;
+}
+
+/**
+ * Token cache metrics for monitoring
+ */
+export function getTokenCacheStats() {
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    size: tokenCache.size,
+    max_entries: config.tokenCache.maxEntries,
+    hits: stats.hits,
+    misses: stats.misses,
+    hit_rate: lookups > 0 ? Number((stats.hits / lookups).toFixed(4)) : 0,
+    evictions: tokenCache.evictions,
+    local_verifications: stats.localVerifications,
+    remote_verifications: stats.remoteVerifications,
+    failures: stats.failures
+  };
+}
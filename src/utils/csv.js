@@ -0,0 +1,91 @@
+/**
+ * Minimal RFC 4180 CSV parsing and writing
+ * Handles quoted fields, escaped quotes ("") and CRLF/LF line endings
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ */
+export function parseCsvRows(text, { delimiter = ',' } = {}) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM that spreadsheet exports often add
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+/**
+ * Parse CSV text with a header row into an array of objects keyed by header
+ */
+export function parseCsv(text, options) {
+  const [header, ...rows] = parseCsvRows(text, options);
+  if (!header) return [];
+
+  const keys = header.map(h => h.trim());
+  return rows.map(values => Object.fromEntries(keys.map((key, i) => [key, values[i] ?? ''])));
+}
+
+/**
+ * Quote a value for CSV if it contains a delimiter, quote or line break
+ * null and undefined become empty fields
+ */
+export function formatCsvField(value, { delimiter = ',' } = {}) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Write a header and rows (arrays of values) as CSV text with CRLF line endings
+ */
+export function formatCsv(header, rows, options) {
+  return [header, ...rows]
+    .map(row => row.map(value => formatCsvField(value, options)).join(options?.delimiter || ','))
+    .join('\r\n') + '\r\n';
+}
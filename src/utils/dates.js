@@ -0,0 +1,166 @@
+/**
+ * Calendar date helpers
+ * Meal days are plain YYYY-MM-DD calendar dates with no time or zone, so all
+ * arithmetic here is done in UTC on the date itself. Only "what day is it now"
+ * depends on the user's timezone.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toUtcDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`);
+}
+
+function formatUtcDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a value is a real calendar date "YYYY-MM-DD"
+ * Date rolls impossible days over ("2025-02-30" becomes March 2nd), so the date must survive a round trip
+ */
+export function isDateString(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+
+  const date = toUtcDate(value);
+  return !Number.isNaN(date.getTime()) && formatUtcDate(date) === value;
+}
+
+/**
+ * Whether a string is an IANA timezone name the runtime knows (e.g. "America/New_York")
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Current calendar date in a timezone
+ */
+export function todayIn(timezone, now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(now);
+
+  const part = type => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+export function addDays(dateStr, days) {
+  const date = toUtcDate(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatUtcDate(date);
+}
+
+/**
+ * Whole days from startDate to endDate (negative if endDate is earlier)
+ */
+export function daysBetween(startDate, endDate) {
+  return Math.round((toUtcDate(endDate) - toUtcDate(startDate)) / 86400000);
+}
+
+/**
+ * Monday of the ISO week containing dateStr
+ */
+export function startOfIsoWeek(dateStr) {
+  const dayOfWeek = (toUtcDate(dateStr).getUTCDay() + 6) % 7; // Monday = 0
+  return addDays(dateStr, -dayOfWeek);
+}
+
+/**
+ * ISO week key "YYYY-Www" (zero-padded), using the ISO week-year:
+ * 2024-12-30 is "2025-W01" and 2021-01-03 is "2020-W53"
+ */
+export function isoWeekKey(dateStr) {
+  // The Thursday of a week decides which year the week belongs to
+  const thursday = toUtcDate(addDays(startOfIsoWeek(dateStr), 3));
+  const weekYear = thursday.getUTCFullYear();
+  const firstOfYear = Date.UTC(weekYear, 0, 1);
+  const week = Math.floor((thursday - firstOfYear) / 86400000 / 7) + 1;
+
+  return `${weekYear}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Monday of an ISO week key ("2025-W01" -> "2024-12-30"), or null if the key isn't a valid week
+ */
+export function isoWeekStart(weekKey) {
+  const match = /^(\d{4})-W(\d{2})$/.exec(weekKey);
+  if (!match) return null;
+
+  // January 4th is always in week 1
+  const start = addDays(startOfIsoWeek(`${match[1]}-01-04`), (Number(match[2]) - 1) * 7);
+  return isoWeekKey(start) === weekKey ? start : null;
+}
+
+/**
+ * Month key "YYYY-MM"
+ */
+export function monthKey(dateStr) {
+  return dateStr.slice(0, 7);
+}
+
+/**
+ * All YYYY-MM-DD dates from startDate to endDate inclusive
+ */
+export function eachDay(startDate, endDate) {
+  const days = [];
+  for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+// What tools accept wherever a date is expected
+export const DATE_EXPRESSION_PATTERN = '^(\\d{4}-\\d{2}-\\d{2}|today|yesterday|-\\d+d|this_week|last_week|this_month|last_month)$';
+
+export const DATE_EXPRESSION_HELP = 'YYYY-MM-DD, or relative to today in your timezone: "today", "yesterday", "-3d" (3 days ago), "this_week", "last_week", "this_month", "last_month"';
+
+/**
+ * Resolve a date or relative date expression to the days it covers, { start, end }
+ * Weeks are ISO weeks (Monday to Sunday); "this_week" and "this_month" end today.
+ */
+export function resolveDateExpression(expression, today) {
+  if (isDateString(expression)) {
+    return { start: expression, end: expression };
+  }
+
+  const daysAgo = /^-(\d+)d$/.exec(expression);
+  if (daysAgo) {
+    const day = addDays(today, -Number(daysAgo[1]));
+    return { start: day, end: day };
+  }
+
+  switch (expression) {
+    case 'today':
+      return { start: today, end: today };
+    case 'yesterday': {
+      const day = addDays(today, -1);
+      return { start: day, end: day };
+    }
+    case 'this_week':
+      return { start: startOfIsoWeek(today), end: today };
+    case 'last_week': {
+      const start = addDays(startOfIsoWeek(today), -7);
+      return { start, end: addDays(start, 6) };
+    }
+    case 'this_month':
+      return { start: `${monthKey(today)}-01`, end: today };
+    case 'last_month': {
+      const end = addDays(`${monthKey(today)}-01`, -1);
+      return { start: `${monthKey(end)}-01`, end };
+    }
+    default:
+      if (DATE_PATTERN.test(expression)) {
+        throw new Error(`Invalid date "${expression}": there is no such day`);
+      }
+      throw new Error(`Invalid date "${expression}". Use ${DATE_EXPRESSION_HELP}`);
+  }
+}
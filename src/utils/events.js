@@ -0,0 +1,22 @@
+/**
+ * In-process events between tools and the MCP layer
+ *
+ * mealEvents 'changed' { userId, days, supabase } - emitted after meals were created,
+ * updated or deleted, with every meal_day touched and the user-scoped client that made
+ * the change. Used to notify resource subscribers, which may need the user's timezone;
+ * carrying the client keeps that working outside MCP requests (e.g. POST /import).
+ */
+
+import { EventEmitter } from 'events';
+
+export const mealEvents = new EventEmitter();
+
+/**
+ * Announce that a user's meals changed on the given days
+ */
+export function emitMealsChanged(supabase, userId, days) {
+  const unique = [...new Set(days.filter(Boolean))];
+  if (unique.length > 0) {
+    mealEvents.emit('changed', { userId, days: unique, supabase });
+  }
+}
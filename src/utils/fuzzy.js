@@ -0,0 +1,86 @@
+/**
+ * Fuzzy text matching for food names
+ * Combines exact/containment checks with a bigram (Dice coefficient) similarity
+ */
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ */
+export function normalizeText(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const padded = ` ${text} `;
+  const grams = new Map();
+  for (let i = 0; i < padded.length - 1; i++) {
+    const gram = padded.substring(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Similarity between 0 and 1 of two (already normalized) strings
+ */
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+
+  for (const [gram, count] of gramsA) {
+    overlap += Math.min(count, gramsB.get(gram) || 0);
+    total += count;
+  }
+  for (const count of gramsB.values()) {
+    total += count;
+  }
+
+  let score = (2 * overlap) / total;
+
+  // Every query word appearing in the candidate is a strong signal ("rice" -> "white rice, cooked")
+  const wordsB = new Set(b.split(' '));
+  if (a.split(' ').every(word => wordsB.has(word))) {
+    score = Math.min(0.99, score + 0.3);
+  }
+
+  return score;
+}
+
+// "eggs" and "egg" count as the same word
+function wordStem(word) {
+  return word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word;
+}
+
+/**
+ * Whether one of the names contains every word of the query ("rice, white" -> "White rice, cooked")
+ * A high similarity alone isn't enough to trust a match: "chocolate cake" is close to "chocolate"
+ * but is a different food.
+ */
+export function coversQueryWords(query, names) {
+  const queryWords = normalizeText(query).split(' ').filter(Boolean).map(wordStem);
+  if (queryWords.length === 0) return false;
+
+  return names.some(name => {
+    const nameWords = new Set(normalizeText(name).split(' ').map(wordStem));
+    return queryWords.every(word => nameWords.has(word));
+  });
+}
+
+/**
+ * Best similarity of a query against several names (e.g. a food's name and aliases)
+ */
+export function bestSimilarity(query, names) {
+  const normalizedQuery = normalizeText(query);
+  return Math.max(0, ...names.map(name => similarity(normalizedQuery, normalizeText(name))));
+}
@@ -0,0 +1,48 @@
+/**
+ * Minimal LRU cache with per-entry expiry
+ * Relies on Map preserving insertion order: the first key is the least recently used
+ */
+
+export function createLruCache({ maxEntries }) {
+  const entries = new Map();
+  let evictions = 0;
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      // Move to most recently used position
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value, expiresAt) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        evictions += 1;
+      }
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    get evictions() {
+      return evictions;
+    }
+  };
+}
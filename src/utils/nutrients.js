@@ -0,0 +1,108 @@
+/**
+ * Canonical nutrient registry
+ * Maps the many names a nutrient gets logged under ("carbohydrates", "prot",
+ * "sodium_mg") to one canonical key with a fixed unit. Keys that aren't in the
+ * registry are kept (normalized to snake_case) so anything a user tracks is
+ * still aggregated.
+ */
+
+export const NUTRIENTS = {
+  calories: { unit: 'kcal', aliases: ['kcal', 'energy', 'cal', 'calorie'] },
+  protein: { unit: 'g', aliases: ['prot', 'proteins', 'pro'] },
+  carbs: { unit: 'g', aliases: ['carbohydrates', 'carbohydrate', 'carb', 'total_carbs', 'cho'] },
+  fat: { unit: 'g', aliases: ['fats', 'total_fat', 'lipids'] },
+  fiber: { unit: 'g', aliases: ['fibre', 'dietary_fiber', 'dietary_fibre'] },
+  sugar: { unit: 'g', aliases: ['sugars', 'total_sugars', 'total_sugar'] },
+  added_sugar: { unit: 'g', aliases: ['added_sugars'] },
+  saturated_fat: { unit: 'g', aliases: ['sat_fat', 'saturated', 'saturates', 'saturated_fats'] },
+  trans_fat: { unit: 'g', aliases: ['trans_fats'] },
+  alcohol: { unit: 'g', aliases: ['ethanol'] },
+  sodium: { unit: 'mg', aliases: ['na'] },
+  potassium: { unit: 'mg', aliases: ['k'] },
+  cholesterol: { unit: 'mg', aliases: ['chol'] },
+  calcium: { unit: 'mg', aliases: ['ca'] },
+  iron: { unit: 'mg', aliases: ['fe'] },
+  caffeine: { unit: 'mg', aliases: [] }
+};
+
+// Mass units a key may be suffixed with ("sodium_mg"), relative to grams
+const MASS_UNITS = { g: 1, mg: 0.001, mcg: 0.000001, ug: 0.000001 };
+
+const aliasIndex = new Map();
+for (const [key, { aliases }] of Object.entries(NUTRIENTS)) {
+  aliasIndex.set(key, key);
+  for (const alias of aliases) {
+    aliasIndex.set(alias, key);
+  }
+}
+
+function toSnakeCase(key) {
+  return String(key).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Resolve a nutrient name to its canonical key
+ * Returns { key, factor } where factor converts the logged value to the canonical unit
+ * (e.g. "sodium_g" -> { key: 'sodium', factor: 1000 })
+ */
+export function resolveNutrient(name) {
+  const normalized = toSnakeCase(name);
+
+  if (aliasIndex.has(normalized)) {
+    return { key: aliasIndex.get(normalized), factor: 1 };
+  }
+
+  // Unit suffix: "protein_g", "sodium_mg", "energy_kcal"
+  const match = normalized.match(/^(.+)_(g|mg|mcg|ug|kcal)$/);
+  if (match && aliasIndex.has(match[1])) {
+    const key = aliasIndex.get(match[1]);
+    const canonicalUnit = NUTRIENTS[key].unit;
+    const loggedUnit = match[2];
+
+    if (loggedUnit === canonicalUnit) {
+      return { key, factor: 1 };
+    }
+    if (MASS_UNITS[loggedUnit] && MASS_UNITS[canonicalUnit]) {
+      return { key, factor: MASS_UNITS[loggedUnit] / MASS_UNITS[canonicalUnit] };
+    }
+  }
+
+  return { key: normalized, factor: 1 };
+}
+
+/**
+ * Canonicalize a macros object ({ "Carbohydrates": 30, "sodium_g": 0.4 } -> { carbs: 30, sodium: 400 })
+ * Returns { macros, renamed } where renamed lists the keys that were changed.
+ * Throws if two keys resolve to the same nutrient, since summing them would double count.
+ */
+export function normalizeMacros(macros) {
+  const normalized = {};
+  const sourceKeys = {};
+  const renamed = [];
+
+  for (const [name, value] of Object.entries(macros || {})) {
+    const { key, factor } = resolveNutrient(name);
+
+    if (!key) {
+      throw new Error(`Invalid nutrient name "${name}"`);
+    }
+    if (key in normalized) {
+      throw new Error(`"${sourceKeys[key]}" and "${name}" both refer to ${key}; pass it only once`);
+    }
+
+    normalized[key] = factor === 1 ? value : Math.round(value * factor * 1000) / 1000;
+    sourceKeys[key] = name;
+    if (key !== name) {
+      renamed.push({ from: name, to: key });
+    }
+  }
+
+  return { macros: normalized, renamed };
+}
+
+/**
+ * Unit of a canonical nutrient key, or null if it isn't in the registry
+ */
+export function nutrientUnit(key) {
+  return NUTRIENTS[key]?.unit || null;
+}
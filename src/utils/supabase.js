@@ -0,0 +1,20 @@
+/**
+ * User-scoped Supabase client
+ * Requests carry the user's access token, so RLS limits them to the user's own rows
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../config/env.js';
+
+/**
+ * Create user-scoped Supabase client
+ */
+export function createUserSupabaseClient(accessToken) {
+  return createClient(config.supabase.url, config.supabase.anonKey, {
+    global: {
+      headers: {
+        Authorization: `Bearer ${accessToken}`
+      }
+    }
+  });
+}
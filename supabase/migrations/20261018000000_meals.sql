@@ -0,0 +1,45 @@
+-- Logged meals, one row per meal
+--
+-- Every statement is safe to re-run, so databases set up by hand before
+-- migrations existed can apply this file too.
+
+CREATE TABLE IF NOT EXISTS fact_meal_macros (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  meal TEXT NOT NULL CHECK (meal IN ('breakfast', 'morning_snack', 'lunch', 'afternoon_snack', 'dinner', 'extra')),
+  meal_day DATE NOT NULL,
+  calories INTEGER NOT NULL,
+  macros JSONB NOT NULL,
+  meal_items JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_meal_macros_user_day ON fact_meal_macros(user_id, meal_day DESC);
+
+-- Users only ever see and change their own meals
+ALTER TABLE fact_meal_macros ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own meals" ON fact_meal_macros;
+CREATE POLICY "Users can view own meals"
+  ON fact_meal_macros
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert own meals" ON fact_meal_macros;
+CREATE POLICY "Users can insert own meals"
+  ON fact_meal_macros
+  FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own meals" ON fact_meal_macros;
+CREATE POLICY "Users can update own meals"
+  ON fact_meal_macros
+  FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own meals" ON fact_meal_macros;
+CREATE POLICY "Users can delete own meals"
+  ON fact_meal_macros
+  FOR DELETE
+  USING (auth.uid() = user_id);
@@ -0,0 +1,41 @@
+-- Daily nutrition targets for set_goals/get_goals, versioned by effective_date
+--
+-- Safe to re-run on a database whose table was created by hand.
+
+CREATE TABLE IF NOT EXISTS user_goals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  effective_date DATE NOT NULL,
+  calories INTEGER NOT NULL,
+  protein NUMERIC NOT NULL,
+  carbs NUMERIC NOT NULL,
+  fat NUMERIC NOT NULL,
+  fiber NUMERIC,
+  sugar NUMERIC,
+  sodium NUMERIC,
+  UNIQUE (user_id, effective_date)
+);
+
+ALTER TABLE user_goals ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own goals" ON user_goals;
+CREATE POLICY "Users can view own goals"
+  ON user_goals FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert own goals" ON user_goals;
+CREATE POLICY "Users can insert own goals"
+  ON user_goals FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own goals" ON user_goals;
+CREATE POLICY "Users can update own goals"
+  ON user_goals FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own goals" ON user_goals;
+CREATE POLICY "Users can delete own goals"
+  ON user_goals FOR DELETE
+  USING (auth.uid() = user_id);
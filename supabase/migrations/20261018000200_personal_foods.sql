@@ -0,0 +1,50 @@
+-- Personal foods and recipes
+--
+-- user_foods holds nutrients per 100 g (calories in kcal, sodium in mg, the
+-- rest in grams). user_recipes holds ingredients as {"food name": grams} for
+-- the whole batch. Safe to re-run on tables created by hand.
+
+CREATE TABLE IF NOT EXISTS user_foods (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  aliases TEXT[] NOT NULL DEFAULT '{}',
+  category TEXT,
+  calories NUMERIC NOT NULL DEFAULT 0,
+  protein NUMERIC NOT NULL DEFAULT 0,
+  carbs NUMERIC NOT NULL DEFAULT 0,
+  fat NUMERIC NOT NULL DEFAULT 0,
+  fiber NUMERIC NOT NULL DEFAULT 0,
+  sugar NUMERIC NOT NULL DEFAULT 0,
+  sodium NUMERIC NOT NULL DEFAULT 0,
+  UNIQUE (user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS user_recipes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  ingredients JSONB NOT NULL,
+  servings NUMERIC NOT NULL DEFAULT 1 CHECK (servings > 0),
+  yield_grams NUMERIC CHECK (yield_grams > 0),
+  UNIQUE (user_id, name)
+);
+
+ALTER TABLE user_foods ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_recipes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own foods" ON user_foods;
+CREATE POLICY "Users can manage own foods"
+  ON user_foods FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own recipes" ON user_recipes;
+CREATE POLICY "Users can manage own recipes"
+  ON user_recipes FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,30 @@
+-- OAuth clients and short-lived OAuth state, used when OAUTH_STORE=supabase
+--
+-- oauth_clients holds dynamically registered clients. oauth_state holds
+-- authorization codes, refresh token bindings and other expiring values so
+-- that replicas share them; expired rows are ignored on read and purged by the
+-- server. Both are accessed with the service role key only, so RLS is enabled
+-- without any policy granting access to end users. Safe to re-run.
+
+CREATE TABLE IF NOT EXISTS oauth_clients (
+  client_id TEXT PRIMARY KEY,
+  client_secret_hash TEXT,
+  registration_access_token_hash TEXT NOT NULL,
+  metadata JSONB NOT NULL,
+  client_id_issued_at BIGINT NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE oauth_clients ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS oauth_state (
+  namespace TEXT NOT NULL,
+  key TEXT NOT NULL,
+  value JSONB NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (namespace, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_state_expires ON oauth_state(expires_at);
+
+ALTER TABLE oauth_state ENABLE ROW LEVEL SECURITY;
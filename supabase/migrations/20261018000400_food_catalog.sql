@@ -0,0 +1,50 @@
+-- Food catalog for lookup_food and computed meal macros, used when FOOD_STORE=supabase
+--
+-- Nutrition values per 100 g. search_foods() ranks foods by trigram
+-- similarity of the name or any alias. Load data with `npm run seed:foods`.
+-- Safe to re-run on a catalog created by hand.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE IF NOT EXISTS foods (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  aliases TEXT[] NOT NULL DEFAULT '{}',
+  category TEXT,
+  calories NUMERIC NOT NULL DEFAULT 0, -- kcal per 100 g
+  protein NUMERIC NOT NULL DEFAULT 0,  -- g per 100 g
+  carbs NUMERIC NOT NULL DEFAULT 0,
+  fat NUMERIC NOT NULL DEFAULT 0,
+  fiber NUMERIC NOT NULL DEFAULT 0,
+  sugar NUMERIC NOT NULL DEFAULT 0,
+  sodium NUMERIC NOT NULL DEFAULT 0,   -- mg per 100 g
+  source TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_foods_name_trgm ON foods USING gin (name gin_trgm_ops);
+
+ALTER TABLE foods ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Food catalog is readable by everyone" ON foods;
+CREATE POLICY "Food catalog is readable by everyone"
+  ON foods FOR SELECT
+  USING (true);
+
+CREATE OR REPLACE FUNCTION search_foods(search_query TEXT, max_results INT DEFAULT 5)
+RETURNS TABLE (
+  id TEXT, name TEXT, aliases TEXT[], category TEXT,
+  calories NUMERIC, protein NUMERIC, carbs NUMERIC, fat NUMERIC,
+  fiber NUMERIC, sugar NUMERIC, sodium NUMERIC, score REAL
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT f.id, f.name, f.aliases, f.category,
+         f.calories, f.protein, f.carbs, f.fat, f.fiber, f.sugar, f.sodium,
+         GREATEST(
+           similarity(f.name, search_query),
+           COALESCE((SELECT MAX(similarity(a, search_query)) FROM unnest(f.aliases) AS a), 0)
+         ) AS score
+  FROM foods f
+  ORDER BY score DESC
+  LIMIT max_results;
+$$;
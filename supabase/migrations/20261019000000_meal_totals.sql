@@ -0,0 +1,67 @@
+-- Server-side aggregation for get_meal_data daily/weekly/monthly totals
+--
+-- Returns one row per day (YYYY-MM-DD), ISO week (YYYY-Www) or month (YYYY-MM)
+-- with the sum of calories and of every numeric key found in macros. Keys are
+-- summed as logged; the server maps aliases to canonical nutrient names.
+--
+-- SECURITY INVOKER: RLS on fact_meal_macros still applies, so callers only
+-- ever aggregate their own meals.
+
+CREATE OR REPLACE FUNCTION meal_totals(
+  start_date DATE,
+  end_date DATE,
+  granularity TEXT DEFAULT 'day'
+)
+RETURNS TABLE (
+  period TEXT,
+  meal_count BIGINT,
+  days_count BIGINT,
+  total_calories BIGINT,
+  nutrients JSONB
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+  WITH meals AS (
+    SELECT
+      m.meal_day,
+      m.calories,
+      m.macros,
+      CASE granularity
+        WHEN 'week' THEN to_char(m.meal_day, 'IYYY-"W"IW')
+        WHEN 'month' THEN to_char(m.meal_day, 'YYYY-MM')
+        ELSE to_char(m.meal_day, 'YYYY-MM-DD')
+      END AS period
+    FROM fact_meal_macros m
+    WHERE m.meal_day BETWEEN start_date AND end_date
+  ),
+  per_period AS (
+    SELECT
+      period,
+      COUNT(*) AS meal_count,
+      COUNT(DISTINCT meal_day) AS days_count,
+      COALESCE(SUM(calories), 0)::BIGINT AS total_calories
+    FROM meals
+    GROUP BY period
+  ),
+  per_nutrient AS (
+    SELECT meals.period, kv.key, SUM((kv.value)::NUMERIC) AS total
+    FROM meals, jsonb_each(COALESCE(meals.macros, '{}'::JSONB)) AS kv
+    WHERE jsonb_typeof(kv.value) = 'number'
+    GROUP BY meals.period, kv.key
+  )
+  SELECT
+    p.period,
+    p.meal_count,
+    p.days_count,
+    p.total_calories,
+    COALESCE(
+      (SELECT jsonb_object_agg(n.key, n.total) FROM per_nutrient n WHERE n.period = p.period),
+      '{}'::JSONB
+    ) AS nutrients
+  FROM per_period p
+  ORDER BY p.period DESC;
+$$;
+
+GRANT EXECUTE ON FUNCTION meal_totals(DATE, DATE, TEXT) TO authenticated;
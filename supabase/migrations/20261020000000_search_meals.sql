@@ -0,0 +1,36 @@
+-- Meal item search for the search_meals tool
+--
+-- Returns the meals with at least one meal_items key containing the search
+-- text (case-insensitive), newest first. Dates and meal type are optional
+-- filters; NULL means unbounded.
+--
+-- SECURITY INVOKER: RLS on fact_meal_macros still applies, so callers only
+-- ever search their own meals.
+
+CREATE OR REPLACE FUNCTION search_meals(
+  search TEXT,
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  meal_type TEXT DEFAULT NULL
+)
+RETURNS SETOF fact_meal_macros
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+  SELECT m.*
+  FROM fact_meal_macros m
+  WHERE (start_date IS NULL OR m.meal_day >= start_date)
+    AND (end_date IS NULL OR m.meal_day <= end_date)
+    AND (meal_type IS NULL OR m.meal = meal_type)
+    AND jsonb_typeof(m.meal_items) = 'object'
+    AND EXISTS (
+      SELECT 1
+      FROM jsonb_object_keys(m.meal_items) AS item
+      -- Escape LIKE wildcards so the search text is matched literally
+      WHERE item ILIKE '%' || regexp_replace(search, '([\\%_])', '\\\1', 'g') || '%'
+    )
+  ORDER BY m.meal_day DESC, m.created_at DESC, m.id;
+$$;
+
+GRANT EXECUTE ON FUNCTION search_meals(TEXT, DATE, DATE, TEXT) TO authenticated;
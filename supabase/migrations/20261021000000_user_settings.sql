@@ -0,0 +1,18 @@
+-- Per-user preferences for get_settings/update_settings
+--
+-- One row per user; the timezone decides which calendar day "today" is for
+-- relative dates and resources. Safe to re-run on a table created by hand.
+
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  timezone TEXT NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE user_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own settings" ON user_settings;
+CREATE POLICY "Users can manage own settings"
+  ON user_settings FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
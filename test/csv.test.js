@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatCsv, formatCsvField, parseCsv, parseCsvRows } from '../src/utils/csv.js';
+
+test('parseCsvRows handles quotes, escaped quotes and embedded line breaks', () => {
+  const text = 'name,note\r\n"rice, white","said ""hi""\nthen left"\r\nplain,x\n';
+
+  assert.deepEqual(parseCsvRows(text), [
+    ['name', 'note'],
+    ['rice, white', 'said "hi"\nthen left'],
+    ['plain', 'x']
+  ]);
+});
+
+test('parseCsvRows strips a BOM, drops blank lines and keeps a last line without newline', () => {
+  const text = '\uFEFFa,b\n\n1,2\n   \n3,4';
+
+  assert.deepEqual(parseCsvRows(text), [['a', 'b'], ['1', '2'], ['3', '4']]);
+});
+
+test('parseCsvRows keeps empty fields', () => {
+  assert.deepEqual(parseCsvRows('a,,c\n,,\n'), [['a', '', 'c'], ['', '', '']]);
+});
+
+test('parseCsvRows splits on a custom delimiter', () => {
+  assert.deepEqual(parseCsvRows('a;b\n"1;5";2\n', { delimiter: ';' }), [['a', 'b'], ['1;5', '2']]);
+});
+
+test('parseCsv keys rows by trimmed header and fills missing fields', () => {
+  assert.deepEqual(parseCsv(' day ,meal\n2026-10-01\n'), [{ day: '2026-10-01', meal: '' }]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('formatCsvField quotes only when needed', () => {
+  assert.equal(formatCsvField('plain'), 'plain');
+  assert.equal(formatCsvField('a,b'), '"a,b"');
+  assert.equal(formatCsvField('say "hi"'), '"say ""hi"""');
+  assert.equal(formatCsvField('two\nlines'), '"two\nlines"');
+  assert.equal(formatCsvField('a;b', { delimiter: ';' }), '"a;b"');
+  assert.equal(formatCsvField(null), '');
+  assert.equal(formatCsvField(0), '0');
+});
+
+test('formatCsv output parses back to the same values', () => {
+  const header = ['item', 'grams', 'note'];
+  const rows = [['rice, white', 150, 'said "hi"'], ['oats', 40.5, 'multi\r\nline'], ['empty', null, '']];
+
+  const text = formatCsv(header, rows);
+
+  assert.ok(text.endsWith('\r\n'));
+  assert.deepEqual(parseCsvRows(text), [header, ...rows.map(row => row.map(value => (value === null ? '' : String(value))))]);
+});
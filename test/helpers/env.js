@@ -0,0 +1,10 @@
+/**
+ * Environment for tests that import server modules
+ * Imported first so src/config/env.js finds its required variables. Nothing here
+ * reaches the network: tests pass a fake Supabase client (see fakeSupabase.js).
+ */
+
+process.env.SUPABASE_URL ??= 'http://supabase.test';
+process.env.SUPABASE_ANON_KEY ??= 'test-anon-key';
+process.env.OAUTH_CLIENT_SECRET ??= 'test-secret';
+process.env.LOG_LEVEL ??= 'error';
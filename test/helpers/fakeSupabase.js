@@ -0,0 +1,53 @@
+/**
+ * In-memory stand-in for the user-scoped Supabase client
+ * Supports the query builder calls the import and export code makes: select with
+ * eq/gte/lte filters, order, range paging, and insert().select().
+ */
+
+/**
+ * Create a fake client over tables ({ fact_meal_macros: [rows], ... })
+ * failInsert(rows) may return an error message to reject an insert, like a database
+ * constraint would. inserts records the size of every insert request.
+ */
+export function createFakeSupabase(tables = {}, { failInsert } = {}) {
+  const db = { fact_meal_macros: [], user_foods: [], ...tables };
+  const inserts = [];
+
+  function query(table) {
+    const filters = [];
+    let bounds = null;
+    let rowsToInsert = null;
+
+    const execute = () => {
+      const rows = (db[table] ??= []);
+
+      if (rowsToInsert) {
+        inserts.push(rowsToInsert.length);
+        const message = failInsert?.(rowsToInsert);
+        if (message) return { data: null, error: { message } };
+
+        const created = rowsToInsert.map(row => structuredClone(row));
+        rows.push(...created);
+        return { data: structuredClone(created), error: null };
+      }
+
+      let data = rows.filter(row => filters.every(filter => filter(row)));
+      if (bounds) data = data.slice(bounds[0], bounds[1] + 1);
+      return { data: structuredClone(data), error: null };
+    };
+
+    const builder = {
+      select: () => builder,
+      order: () => builder,
+      eq: (column, value) => (filters.push(row => row[column] === value), builder),
+      gte: (column, value) => (filters.push(row => row[column] >= value), builder),
+      lte: (column, value) => (filters.push(row => row[column] <= value), builder),
+      range: (from, to) => ((bounds = [from, to]), builder),
+      insert: rows => ((rowsToInsert = rows), builder),
+      then: (resolve, reject) => Promise.resolve().then(execute).then(resolve, reject)
+    };
+    return builder;
+  }
+
+  return { db, inserts, from: query };
+}
@@ -0,0 +1,216 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+import { importMeals } from '../src/tools/import.js';
+import { exportMeals } from '../src/tools/export.js';
+
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+
+// Meals as stored in fact_meal_macros: canonical macros, a non-registry nutrient,
+// an item name with a comma and one a spreadsheet would read as a formula
+const LOGGED_MEALS = [
+  {
+    id: '10000000-0000-4000-8000-000000000001',
+    created_at: '2026-10-01T07:30:00.000Z',
+    user_id: USER_ID,
+    meal: 'breakfast',
+    meal_day: '2026-10-01',
+    calories: 420,
+    macros: { protein: 25, carbs: 50.5, fat: 12, sodium: 380, vitamin_c: 45 },
+    meal_items: { oats: 80, 'whole milk': 200, '=HYPERLINK("x")': 5 }
+  },
+  {
+    id: '10000000-0000-4000-8000-000000000002',
+    created_at: '2026-10-01T12:15:00.000Z',
+    user_id: USER_ID,
+    meal: 'lunch',
+    meal_day: '2026-10-01',
+    calories: 650,
+    macros: { protein: 40, carbs: 70, fat: 20 },
+    meal_items: { 'rice, white': 200, 'chicken breast': 150 }
+  },
+  {
+    id: '10000000-0000-4000-8000-000000000003',
+    created_at: '2026-10-02T12:00:00.000Z',
+    user_id: USER_ID,
+    meal: 'lunch',
+    meal_day: '2026-10-02',
+    calories: 650,
+    macros: { protein: 40, carbs: 70, fat: 20 },
+    meal_items: { 'rice, white': 200, 'chicken breast': 150 }
+  }
+];
+
+const comparable = ({ meal, meal_day, calories, macros, meal_items }) => ({ meal, meal_day, calories, macros, meal_items });
+const byDayAndMeal = (a, b) => a.meal_day.localeCompare(b.meal_day) || a.meal.localeCompare(b.meal);
+
+test('a per-meal file is parsed, checked and previewed without saving on a dry run', async () => {
+  const supabase = createFakeSupabase();
+  const csv = [
+    'id,meal_day,meal,created_at,calories,Protein (g),sodium_g,vitamin_c,note,meal_items',
+    'a,2026-10-01,Lunch,2026-10-01T12:00:00Z,"1,200",30,0.4,45,tasty,"{""rice, white"":200}"',
+    'b,2026-10-01,Brunch,x,100,,,,,',
+    'c,2026-02-30,lunch,x,100,,,,,',
+    'd,today,lunch,x,100,,,,,',
+    'e,2026-10-02,dinner,x,abc,,,,,',
+    'f,2026-10-02,dinner,x,,,,,,'
+  ].join('\n');
+
+  const report = await importMeals(supabase, USER_ID, csv, { dryRun: true });
+
+  assert.equal(report.row_count, 6);
+  assert.equal(report.meal_count, 6);
+  assert.equal(report.valid_count, 1);
+  assert.equal(report.imported_count, 0);
+  assert.deepEqual(report.ignored_columns, ['id', 'created_at', 'note']);
+  assert.deepEqual(report.preview, [{
+    rows: [2],
+    meal: 'lunch',
+    meal_day: '2026-10-01',
+    calories: 1200,
+    macros: { protein: 30, sodium: 400, vitamin_c: 45 },
+    meal_items: { 'rice, white': 200 }
+  }]);
+  assert.deepEqual(report.errors.map(({ rows, error }) => [rows[0], error]), [
+    [3, 'meal "Brunch" is not one of breakfast, morning_snack, lunch, afternoon_snack, dinner, extra; map it with meal_names'],
+    [4, 'date "2026-02-30" is not a YYYY-MM-DD calendar date'],
+    [5, 'date "today" is not a YYYY-MM-DD calendar date'],
+    [6, 'calories: "abc" is not a number'],
+    [7, 'no calories and no items to compute them from']
+  ]);
+  assert.deepEqual(supabase.inserts, []);
+});
+
+test('item rows are grouped into meals by meal_id, or else by date and meal', async () => {
+  const byId = [
+    'meal_id,meal_day,meal,item,grams,calories,protein_g',
+    'm1,2026-10-01,lunch,rice,100,130,3',
+    'm2,2026-10-01,lunch,apple,150,80,0',
+    'm1,2026-10-01,lunch,chicken breast,150 g,250,45',
+    'm1,2026-10-01,lunch,rice,50,65,1.5'
+  ].join('\n');
+
+  const grouped = await importMeals(createFakeSupabase(), USER_ID, byId, { dryRun: true });
+
+  assert.equal(grouped.meal_count, 2);
+  assert.deepEqual(grouped.preview.map(({ rows, calories, macros, meal_items }) => ({ rows, calories, macros, meal_items })), [
+    { rows: [2, 4, 5], calories: 445, macros: { protein: 49.5 }, meal_items: { rice: 150, 'chicken breast': 150 } },
+    { rows: [3], calories: 80, macros: { protein: 0 }, meal_items: { apple: 150 } }
+  ]);
+
+  const byDay = [
+    'Day;Meal Name;Food;Weight',
+    '2026-10-01;lunch;chicken breast;150',
+    '2026-10-01;dinner;rice;200',
+    '2026-10-01;lunch;rice;100'
+  ].join('\n');
+
+  const computed = await importMeals(createFakeSupabase(), USER_ID, byDay, {
+    delimiter: ';',
+    dryRun: true,
+    columns: { date: 'Day', meal: 'Meal Name', item: 'Food', grams: 'Weight' }
+  });
+
+  assert.deepEqual(computed.preview.map(({ rows, meal }) => [meal, rows]), [['lunch', [2, 4]], ['dinner', [3]]]);
+  // No calories in the file: computed from the food catalog
+  assert.ok(computed.preview[0].calories > 0);
+  assert.ok(computed.preview[0].macros.protein > 0);
+});
+
+test('whole-meal meal_* columns are taken once and must agree between rows', async () => {
+  const csv = [
+    'meal_id,meal_day,meal,item,grams,meal_calories,meal_protein_g',
+    'm1,2026-10-01,lunch,rice,100,500,30',
+    'm1,2026-10-01,lunch,beans,100,500,30',
+    'm2,2026-10-01,dinner,rice,100,400,20',
+    'm2,2026-10-01,dinner,beans,100,450,20'
+  ].join('\n');
+
+  const report = await importMeals(createFakeSupabase(), USER_ID, csv, { dryRun: true });
+
+  assert.deepEqual(report.preview.map(({ calories, macros }) => ({ calories, macros })), [{ calories: 500, macros: { protein: 30 } }]);
+  assert.deepEqual(report.errors, [{ rows: [4, 5], error: 'row 5: meal_* values differ from row 4 of the same meal' }]);
+});
+
+test('a MyFitnessPal export keeps every nutrient column and maps Snacks to extra', async () => {
+  const csv = [
+    'Date,Meal,Calories,Fat (g),Saturated Fat,Polyunsaturated Fat,Monounsaturated Fat,Sodium (mg),Carbohydrates (g),Protein (g),Note',
+    '2026-10-10,Breakfast,"1,020",20,5,1,2,900,120,40,',
+    '2026-10-10,Snacks,200,5,1,0,0,50,30,5,'
+  ].join('\n');
+
+  const report = await importMeals(createFakeSupabase(), USER_ID, csv, { format: 'myfitnesspal', dryRun: true });
+
+  assert.deepEqual(report.ignored_columns, ['Note']);
+  assert.deepEqual(report.preview.map(({ meal, calories }) => [meal, calories]), [['breakfast', 1020], ['extra', 200]]);
+  assert.deepEqual(report.preview[0].macros, {
+    fat: 20, saturated_fat: 5, polyunsaturated_fat: 1, monounsaturated_fat: 2, sodium: 900, carbs: 120, protein: 40
+  });
+});
+
+test('meals already logged and repeats within the file are skipped as duplicates', async () => {
+  const supabase = createFakeSupabase({ fact_meal_macros: structuredClone(LOGGED_MEALS) });
+  const csv = [
+    'meal_day,meal,calories,meal_items',
+    '2026-10-01,lunch,650,"{""chicken breast"":150,""Rice, White"":200}"',
+    '2026-10-03,dinner,500,"{""pasta"":100}"',
+    '2026-10-03,dinner,500,"{""pasta"":100}"',
+    '2026-10-03,dinner,501,"{""pasta"":100}"'
+  ].join('\n');
+
+  const report = await importMeals(supabase, USER_ID, csv);
+
+  assert.deepEqual(report.duplicates, [
+    { rows: [2], meal_day: '2026-10-01', meal: 'lunch', existing_id: LOGGED_MEALS[1].id },
+    { rows: [4], meal_day: '2026-10-03', meal: 'dinner', existing_id: null }
+  ]);
+  assert.equal(report.imported_count, 2);
+  assert.equal(supabase.db.fact_meal_macros.length, LOGGED_MEALS.length + 2);
+
+  const again = await importMeals(createFakeSupabase(), USER_ID, csv, { skipDuplicates: false, dryRun: true });
+  assert.equal(again.duplicate_count, 0);
+  assert.equal(again.preview.length, 4);
+});
+
+test('a rejected batch is retried meal by meal so only the failing rows are reported', async () => {
+  // Stand-in for a database constraint that rejects one of the meals
+  const supabase = createFakeSupabase({}, {
+    failInsert: rows => (rows.some(row => row.calories === 666) ? 'new row violates check constraint' : null)
+  });
+  const csv = [
+    'meal_day,meal,calories',
+    '2026-10-01,breakfast,300',
+    '2026-10-01,lunch,666',
+    '2026-10-01,dinner,700'
+  ].join('\n');
+
+  const report = await importMeals(supabase, USER_ID, csv);
+
+  assert.deepEqual(supabase.inserts, [3, 1, 1, 1]);
+  assert.equal(report.imported_count, 2);
+  assert.equal(report.created_ids.length, 2);
+  assert.deepEqual(report.errors, [{ rows: [3], error: 'Database error: new row violates check constraint' }]);
+  assert.deepEqual(supabase.db.fact_meal_macros.map(row => row.calories), [300, 700]);
+});
+
+for (const rows of ['meal', 'item']) {
+  test(`an export with one row per ${rows} imports back to the same meals, and only once`, async () => {
+    const source = createFakeSupabase({ fact_meal_macros: structuredClone(LOGGED_MEALS) });
+    const file = await exportMeals(source, { format: 'csv', rows });
+
+    const target = createFakeSupabase();
+    const report = await importMeals(target, USER_ID, file.text);
+
+    assert.equal(report.error_count, 0, JSON.stringify(report.errors));
+    assert.equal(report.imported_count, LOGGED_MEALS.length);
+    assert.deepEqual(
+      target.db.fact_meal_macros.map(comparable).sort(byDayAndMeal),
+      LOGGED_MEALS.map(comparable).sort(byDayAndMeal)
+    );
+
+    const again = await importMeals(target, USER_ID, file.text);
+    assert.equal(again.duplicate_count, LOGGED_MEALS.length);
+    assert.equal(again.imported_count, 0);
+  });
+}